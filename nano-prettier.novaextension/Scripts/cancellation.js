@@ -0,0 +1,40 @@
+/** lets a newer run stop an older one that's still going */
+class CancellationToken {
+	constructor() {
+		this.cancelled = false
+		/** @type {(() => void)[]} */
+		this.callbacks = []
+	}
+
+	cancel() {
+		if (this.cancelled) return
+		this.cancelled = true
+		for (const callback of this.callbacks) callback()
+		this.callbacks = []
+	}
+
+	/** @param {() => void} callback - called once cancelled, right away if already cancelled */
+	onCancel(callback) {
+		if (this.cancelled) callback()
+		else this.callbacks.push(callback)
+	}
+}
+
+/** a run was superseded, nothing to report */
+class CancelledError extends Error {
+	constructor() {
+		super("Cancelled")
+		this.name = "CancelledError"
+	}
+}
+
+/** prettier ran past the `format_timeout` setting and was stopped */
+class TimeoutError extends Error {
+	/** @param {number} timeout - in milliseconds */
+	constructor(timeout) {
+		super(`Prettier took longer than ${timeout / 1000}s and was stopped`)
+		this.name = "TimeoutError"
+	}
+}
+
+module.exports = { CancellationToken, CancelledError, TimeoutError }
@@ -0,0 +1,24 @@
+/** reads a setting, a workspace value overriding the global one
+ * @param {string} key
+ * @param {"string" | "number" | "array" | "boolean"} coerce
+ * @returns {string | number | string[] | boolean | null}
+ */
+function getConfig(key, coerce) {
+	/** @param {Configuration} config */
+	const get = (config) => {
+		// one call per coercion, each matches one of the `get` overloads
+		switch (coerce) {
+			case "string":
+				return config.get(key, "string")
+			case "number":
+				return config.get(key, "number")
+			case "array":
+				return config.get(key, "array")
+			case "boolean":
+				return config.get(key, "boolean")
+		}
+	}
+	return get(nova.workspace.config) ?? get(nova.config)
+}
+
+module.exports = { getConfig }
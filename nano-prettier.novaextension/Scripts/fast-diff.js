@@ -39,9 +39,15 @@ var DIFF_EQUAL = 0
  * @param {string} text2 New string to be diffed.
  * @param {Int|Object} [cursor_pos] Edit position in text1 or object with more info
  * @param {boolean} [cleanup] Apply semantic cleanup before returning.
+ * @param {boolean} [_fix_unicode]
+ * @param {boolean} [checklines] Speedup flag.  If false, then don't run a
+ *     line-level diff first to identify the changed areas.
+ *     If true, then run a faster, slightly less optimal diff.
+ * @param {number} [deadline] Time when the diff should be complete by, in ms
+ *     since the epoch.  Past it, the diff is coarser but still valid.
  * @return {Array} Array of diff tuples.
  */
-function diff_main(text1, text2, cursor_pos, cleanup, _fix_unicode) {
+function diff_main(text1, text2, cursor_pos, cleanup, _fix_unicode, checklines, deadline) {
 	// Check for equality
 	if (text1 === text2) {
 		if (text1) {
@@ -70,7 +76,7 @@ function diff_main(text1, text2, cursor_pos, cleanup, _fix_unicode) {
 	text2 = text2.substring(0, text2.length - commonlength)
 
 	// Compute the diff on the middle block.
-	var diffs = diff_compute_(text1, text2)
+	var diffs = diff_compute_(text1, text2, checklines, deadline)
 
 	// Restore the prefix and suffix.
 	if (commonprefix) {
@@ -91,9 +97,13 @@ function diff_main(text1, text2, cursor_pos, cleanup, _fix_unicode) {
  * have any common prefix or suffix.
  * @param {string} text1 Old string to be diffed.
  * @param {string} text2 New string to be diffed.
+ * @param {boolean} [checklines] Speedup flag.  If false, then don't run a
+ *     line-level diff first to identify the changed areas.
+ *     If true, then run a faster, slightly less optimal diff.
+ * @param {number} [deadline] Time when the diff should be complete by.
  * @return {Array} Array of diff tuples.
  */
-function diff_compute_(text1, text2) {
+function diff_compute_(text1, text2, checklines, deadline) {
 	var diffs
 
 	if (!text1) {
@@ -142,13 +152,222 @@ function diff_compute_(text1, text2) {
 		var text2_b = hm[3]
 		var mid_common = hm[4]
 		// Send both pairs off for separate processing.
-		var diffs_a = diff_main(text1_a, text2_a)
-		var diffs_b = diff_main(text1_b, text2_b)
+		var diffs_a = diff_main(text1_a, text2_a, null, false, false, checklines, deadline)
+		var diffs_b = diff_main(text1_b, text2_b, null, false, false, checklines, deadline)
 		// Merge the results.
 		return diffs_a.concat([[DIFF_EQUAL, mid_common]], diffs_b)
 	}
 
-	return diff_bisect_(text1, text2)
+	if (checklines && text1.length > 100 && text2.length > 100) {
+		return diff_lineMode_(text1, text2, deadline)
+	}
+
+	return diff_bisect_(text1, text2, deadline)
+}
+
+/**
+ * Do a quick line-level diff on both strings, then rediff the parts for
+ * greater accuracy.
+ * This speedup can produce non-minimal diffs.
+ * @param {string} text1 Old string to be diffed.
+ * @param {string} text2 New string to be diffed.
+ * @param {number} [deadline] Time when the diff should be complete by.
+ * @return {Array} Array of diff tuples.
+ * @private
+ */
+function diff_lineMode_(text1, text2, deadline) {
+	// Scan the text on a line-by-line basis first.
+	var a = diff_linesToChars_(text1, text2)
+	text1 = a.chars1
+	text2 = a.chars2
+	var linearray = a.lineArray
+
+	var diffs = diff_main(text1, text2, null, false, false, false, deadline)
+
+	// Convert the diff back to original text.
+	diff_charsToLines_(diffs, linearray)
+	// Eliminate freak matches (e.g. blank lines)
+	diff_cleanupSemantic(diffs)
+
+	// Rediff any replacement blocks, this time character-by-character.
+	// The result is built up in a new array, splicing the rediffs in place
+	// would take quadratic time once they add up to many tuples.
+	var result = []
+	var block_start = 0
+	var count_delete = 0
+	var count_insert = 0
+	var text_delete = ""
+	var text_insert = ""
+	// Run one past the end, as if there were a dummy equality there.
+	for (var pointer = 0; pointer <= diffs.length; pointer++) {
+		var operation = pointer < diffs.length ? diffs[pointer][0] : DIFF_EQUAL
+		if (operation === DIFF_INSERT) {
+			count_insert++
+			text_insert += diffs[pointer][1]
+			continue
+		}
+		if (operation === DIFF_DELETE) {
+			count_delete++
+			text_delete += diffs[pointer][1]
+			continue
+		}
+
+		// Upon reaching an equality, check for prior redundancies.
+		var block =
+			count_delete >= 1 && count_insert >= 1 ?
+				diff_linePairs_(text_delete, text_insert, deadline) ||
+				diff_main(text_delete, text_insert, null, false, false, false, deadline)
+			:	diffs.slice(block_start, pointer)
+		for (var j = 0; j < block.length; j++) {
+			result.push(block[j])
+		}
+		if (pointer < diffs.length) {
+			result.push(diffs[pointer])
+		}
+		block_start = pointer + 1
+		count_insert = 0
+		count_delete = 0
+		text_delete = ""
+		text_insert = ""
+	}
+
+	return result
+}
+
+/**
+ * Rediff a replacement block line against line when both sides have as many
+ * lines, like a reformat touching every line.  A block that big would
+ * otherwise get one slow character diff, or none once the deadline passes.
+ * Lines left when the deadline passes are replaced whole.
+ * @param {string} text1 Old string to be diffed.
+ * @param {string} text2 New string to be diffed.
+ * @param {number} [deadline] Time when the diff should be complete by.
+ * @return {?Array} Array of diff tuples, or null if the line counts differ.
+ * @private
+ */
+function diff_linePairs_(text1, text2, deadline) {
+	var lines1 = diff_splitLines_(text1)
+	var lines2 = diff_splitLines_(text2)
+	if (lines1.length < 2 || lines1.length !== lines2.length) {
+		return null
+	}
+
+	var diffs = []
+	for (var i = 0; i < lines1.length; i++) {
+		if (deadline !== undefined && Date.now() > deadline) {
+			// Out of time, the remaining lines are replaced whole.
+			diffs.push([DIFF_DELETE, lines1.slice(i).join("")], [DIFF_INSERT, lines2.slice(i).join("")])
+			break
+		}
+		var lineDiffs = diff_main(lines1[i], lines2[i], null, false, false, false, deadline)
+		for (var j = 0; j < lineDiffs.length; j++) {
+			diffs.push(lineDiffs[j])
+		}
+	}
+	return diffs
+}
+
+/**
+ * Split a text into lines, each keeping its trailing newline.
+ * @param {string} text String to split.
+ * @return {!Array.<string>} Lines of the text.
+ * @private
+ */
+function diff_splitLines_(text) {
+	var lines = text.split("\n")
+	for (var i = 0; i < lines.length - 1; i++) {
+		lines[i] += "\n"
+	}
+	if (lines[lines.length - 1] === "") {
+		lines.pop()
+	}
+	return lines
+}
+
+/**
+ * Split two texts into an array of strings.  Reduce the texts to a string of
+ * hashes where each Unicode character represents one line.
+ * @param {string} text1 First string.
+ * @param {string} text2 Second string.
+ * @return {{chars1: string, chars2: string, lineArray: !Array.<string>}}
+ *     An object containing the encoded text1, the encoded text2 and
+ *     the array of unique strings.
+ *     The zeroth element of the array of unique strings is intentionally blank.
+ * @private
+ */
+function diff_linesToChars_(text1, text2) {
+	var lineArray = [] // e.g. lineArray[4] == 'Hello\n'
+	var lineHash = Object.create(null) // e.g. lineHash['Hello\n'] == 4
+
+	// '\x00' is a valid character, but various debuggers don't like it.
+	// So we'll insert a junk entry to avoid generating a null character.
+	lineArray[0] = ""
+
+	/**
+	 * Split a text into an array of strings.  Reduce the texts to a string of
+	 * hashes where each Unicode character represents one line.
+	 * Modifies linearray and linehash through being a closure.
+	 * @param {string} text String to encode.
+	 * @return {string} Encoded string.
+	 * @private
+	 */
+	function diff_linesToCharsMunge_(text) {
+		var chars = ""
+		// Walk the text, pulling out a substring for each line.
+		// text.split('\n') would would temporarily double our memory footprint.
+		// Modifying text would create many large strings to garbage collect.
+		var lineStart = 0
+		var lineEnd = -1
+		// Keeping our own length variable is faster than looking it up.
+		var lineArrayLength = lineArray.length
+		while (lineEnd < text.length - 1) {
+			lineEnd = text.indexOf("\n", lineStart)
+			if (lineEnd == -1) {
+				lineEnd = text.length - 1
+			}
+			var line = text.substring(lineStart, lineEnd + 1)
+
+			if (line in lineHash) {
+				chars += String.fromCharCode(lineHash[line])
+			} else {
+				if (lineArrayLength == maxLines) {
+					// Bail out at 65535 because
+					// String.fromCharCode(65536) == String.fromCharCode(0)
+					line = text.substring(lineStart)
+					lineEnd = text.length
+				}
+				chars += String.fromCharCode(lineArrayLength)
+				lineHash[line] = lineArrayLength
+				lineArray[lineArrayLength++] = line
+			}
+			lineStart = lineEnd + 1
+		}
+		return chars
+	}
+	// Allocate 2/3rds of the space for text1, the rest for text2.
+	var maxLines = 40000
+	var chars1 = diff_linesToCharsMunge_(text1)
+	maxLines = 65535
+	var chars2 = diff_linesToCharsMunge_(text2)
+	return { chars1: chars1, chars2: chars2, lineArray: lineArray }
+}
+
+/**
+ * Rehydrate the text in a diff from a string of line hashes to real lines of
+ * text.
+ * @param {Array} diffs Array of diff tuples.
+ * @param {!Array.<string>} lineArray Array of unique strings.
+ * @private
+ */
+function diff_charsToLines_(diffs, lineArray) {
+	for (var i = 0; i < diffs.length; i++) {
+		var chars = diffs[i][1]
+		var text = []
+		for (var j = 0; j < chars.length; j++) {
+			text[j] = lineArray[chars.charCodeAt(j)]
+		}
+		diffs[i][1] = text.join("")
+	}
 }
 
 /**
@@ -157,10 +376,11 @@ function diff_compute_(text1, text2) {
  * See Myers 1986 paper: An O(ND) Difference Algorithm and Its Variations.
  * @param {string} text1 Old string to be diffed.
  * @param {string} text2 New string to be diffed.
+ * @param {number} [deadline] Time at which to bail if not yet complete.
  * @return {Array} Array of diff tuples.
  * @private
  */
-function diff_bisect_(text1, text2) {
+function diff_bisect_(text1, text2, deadline) {
 	// Cache the text lengths to prevent multiple calls.
 	var text1_length = text1.length
 	var text2_length = text2.length
@@ -188,6 +408,11 @@ function diff_bisect_(text1, text2) {
 	var k2start = 0
 	var k2end = 0
 	for (var d = 0; d < max_d; d++) {
+		// Bail out if deadline is reached.
+		if (deadline !== undefined && Date.now() > deadline) {
+			break
+		}
+
 		// Walk the front path one step.
 		for (var k1 = -d + k1start; k1 <= d - k1end; k1 += 2) {
 			var k1_offset = v_offset + k1
@@ -216,7 +441,7 @@ function diff_bisect_(text1, text2) {
 					var x2 = text1_length - v2[k2_offset]
 					if (x1 >= x2) {
 						// Overlap detected.
-						return diff_bisectSplit_(text1, text2, x1, y1)
+						return diff_bisectSplit_(text1, text2, x1, y1, deadline)
 					}
 				}
 			}
@@ -256,7 +481,7 @@ function diff_bisect_(text1, text2) {
 					x2 = text1_length - x2
 					if (x1 >= x2) {
 						// Overlap detected.
-						return diff_bisectSplit_(text1, text2, x1, y1)
+						return diff_bisectSplit_(text1, text2, x1, y1, deadline)
 					}
 				}
 			}
@@ -277,17 +502,18 @@ function diff_bisect_(text1, text2) {
  * @param {string} text2 New string to be diffed.
  * @param {number} x Index of split point in text1.
  * @param {number} y Index of split point in text2.
+ * @param {number} [deadline] Time at which to bail if not yet complete.
  * @return {Array} Array of diff tuples.
  */
-function diff_bisectSplit_(text1, text2, x, y) {
+function diff_bisectSplit_(text1, text2, x, y, deadline) {
 	var text1a = text1.substring(0, x)
 	var text2a = text2.substring(0, y)
 	var text1b = text1.substring(x)
 	var text2b = text2.substring(y)
 
 	// Compute both diffs serially.
-	var diffs = diff_main(text1a, text2a)
-	var diffsb = diff_main(text1b, text2b)
+	var diffs = diff_main(text1a, text2a, null, false, false, false, deadline)
+	var diffsb = diff_main(text1b, text2b, null, false, false, false, deadline)
 
 	return diffs.concat(diffsb)
 }
@@ -728,6 +954,109 @@ function diff_cleanupSemanticLossless(diffs) {
 	}
 }
 
+/**
+ * Reduce the number of edits by eliminating operationally trivial equalities.
+ * @param {Array} diffs Array of diff tuples.
+ * @param {number} [edit_cost] Cost of an empty edit operation in terms of edit
+ *     characters, 4 by default.
+ */
+function diff_cleanupEfficiency(diffs, edit_cost) {
+	if (edit_cost === undefined) {
+		edit_cost = 4
+	}
+	var changes = false
+	var equalities = [] // Stack of indices where equalities are found.
+	var equalitiesLength = 0 // Keeping our own length var is faster in JS.
+	/** @type {?string} */
+	var lastEquality = null
+	// Always equal to diffs[equalities[equalitiesLength - 1]][1]
+	var pointer = 0 // Index of current position.
+	// Is there an insertion operation before the last equality.
+	var pre_ins = false
+	// Is there a deletion operation before the last equality.
+	var pre_del = false
+	// Is there an insertion operation after the last equality.
+	var post_ins = false
+	// Is there a deletion operation after the last equality.
+	var post_del = false
+	// Equalities turned into a deletion, whose insertion twin is only added at
+	// the end, so that no splice shifts the indices while scanning.
+	var duplicated = []
+	while (pointer < diffs.length) {
+		if (diffs[pointer][0] === DIFF_EQUAL) {
+			// Equality found.
+			if (diffs[pointer][1].length < edit_cost && (post_ins || post_del)) {
+				// Candidate found.
+				equalities[equalitiesLength++] = pointer
+				pre_ins = post_ins
+				pre_del = post_del
+				lastEquality = diffs[pointer][1]
+			} else {
+				// Not a candidate, and can never become one.
+				equalitiesLength = 0
+				lastEquality = null
+			}
+			post_ins = post_del = false
+		} else {
+			// An insertion or deletion, or both for a duplicated equality.
+			var operations = duplicated[pointer] ? [DIFF_DELETE, DIFF_INSERT] : [diffs[pointer][0]]
+			for (var i = 0; i < operations.length; i++) {
+				if (operations[i] === DIFF_DELETE) {
+					post_del = true
+				} else {
+					post_ins = true
+				}
+				/*
+				 * Five types to be split:
+				 * <ins>A</ins><del>B</del>XY<ins>C</ins><del>D</del>
+				 * <ins>A</ins>X<ins>C</ins><del>D</del>
+				 * <ins>A</ins><del>B</del>X<ins>C</ins>
+				 * <ins>A</del>X<ins>C</ins><del>D</del>
+				 * <ins>A</ins><del>B</del>X<del>C</del>
+				 */
+				if (
+					lastEquality &&
+					((pre_ins && pre_del && post_ins && post_del) ||
+						(lastEquality.length < edit_cost / 2 && pre_ins + pre_del + post_ins + post_del === 3))
+				) {
+					// Duplicate record.
+					diffs[equalities[equalitiesLength - 1]][0] = DIFF_DELETE
+					duplicated[equalities[equalitiesLength - 1]] = true
+					equalitiesLength-- // Throw away the equality we just deleted;
+					lastEquality = null
+					if (pre_ins && pre_del) {
+						// No changes made which could affect previous entry, keep going.
+						post_ins = post_del = true
+						equalitiesLength = 0
+					} else {
+						equalitiesLength-- // Throw away the previous equality.
+						pointer = equalitiesLength > 0 ? equalities[equalitiesLength - 1] : -1
+						post_ins = post_del = false
+					}
+					changes = true
+					break
+				}
+			}
+		}
+		pointer++
+	}
+
+	if (changes) {
+		var expanded = []
+		for (pointer = 0; pointer < diffs.length; pointer++) {
+			expanded.push(diffs[pointer])
+			if (duplicated[pointer]) {
+				expanded.push([DIFF_INSERT, diffs[pointer][1]])
+			}
+		}
+		diffs.length = expanded.length
+		for (pointer = 0; pointer < expanded.length; pointer++) {
+			diffs[pointer] = expanded[pointer]
+		}
+		diff_cleanupMerge(diffs, true)
+	}
+}
+
 /**
  * Reorder and merge like edit sections.  Merge equalities.
  * Any edit section can move as long as it doesn't cross an equality.
@@ -735,133 +1064,114 @@ function diff_cleanupSemanticLossless(diffs) {
  * @param {boolean} fix_unicode Whether to normalize to a unicode-correct diff
  */
 function diff_cleanupMerge(diffs, fix_unicode) {
-	diffs.push([DIFF_EQUAL, ""]) // Add a dummy entry at the end.
-	var pointer = 0
-	var count_delete = 0
-	var count_insert = 0
+	// Build the merged tuples in a new array rather than splicing them in place,
+	// which would take quadratic time over the many tuples of a large diff.
+	// `merged` is empty or ends in an equality whenever an equality is reached.
+	var merged = []
 	var text_delete = ""
 	var text_insert = ""
 	var commonlength
-	while (pointer < diffs.length) {
-		if (pointer < diffs.length - 1 && !diffs[pointer][1]) {
-			diffs.splice(pointer, 1)
+	for (var pointer = 0; pointer <= diffs.length; pointer++) {
+		var isLast = pointer === diffs.length
+		// A dummy entry at the end flushes the last edits.
+		var diff = isLast ? [DIFF_EQUAL, ""] : diffs[pointer]
+		if (!isLast && !diff[1]) {
 			continue
 		}
-		switch (diffs[pointer][0]) {
-			case DIFF_INSERT:
-				count_insert++
-				text_insert += diffs[pointer][1]
-				pointer++
-				break
-			case DIFF_DELETE:
-				count_delete++
-				text_delete += diffs[pointer][1]
-				pointer++
-				break
-			case DIFF_EQUAL:
-				var previous_equality = pointer - count_insert - count_delete - 1
-				if (fix_unicode) {
-					// prevent splitting of unicode surrogate pairs.  when fix_unicode is true,
-					// we assume that the old and new text in the diff are complete and correct
-					// unicode-encoded JS strings, but the tuple boundaries may fall between
-					// surrogate pairs.  we fix this by shaving off stray surrogates from the end
-					// of the previous equality and the beginning of this equality.  this may create
-					// empty equalities or a common prefix or suffix.  for example, if AB and AC are
-					// emojis, `[[0, 'A'], [-1, 'BA'], [0, 'C']]` would turn into deleting 'ABAC' and
-					// inserting 'AC', and then the common suffix 'AC' will be eliminated.  in this
-					// particular case, both equalities go away, we absorb any previous inequalities,
-					// and we keep scanning for the next equality before rewriting the tuples.
-					if (previous_equality >= 0 && ends_with_pair_start(diffs[previous_equality][1])) {
-						var stray = diffs[previous_equality][1].slice(-1)
-						diffs[previous_equality][1] = diffs[previous_equality][1].slice(0, -1)
-						text_delete = stray + text_delete
-						text_insert = stray + text_insert
-						if (!diffs[previous_equality][1]) {
-							// emptied out previous equality, so delete it and include previous delete/insert
-							diffs.splice(previous_equality, 1)
-							pointer--
-							var k = previous_equality - 1
-							if (diffs[k] && diffs[k][0] === DIFF_INSERT) {
-								count_insert++
-								text_insert = diffs[k][1] + text_insert
-								k--
-							}
-							if (diffs[k] && diffs[k][0] === DIFF_DELETE) {
-								count_delete++
-								text_delete = diffs[k][1] + text_delete
-								k--
-							}
-							previous_equality = k
-						}
-					}
-					if (starts_with_pair_end(diffs[pointer][1])) {
-						var stray = diffs[pointer][1].charAt(0)
-						diffs[pointer][1] = diffs[pointer][1].slice(1)
-						text_delete += stray
-						text_insert += stray
-					}
-				}
-				if (pointer < diffs.length - 1 && !diffs[pointer][1]) {
-					// for empty equality not at end, wait for next equality
-					diffs.splice(pointer, 1)
-					break
-				}
-				if (text_delete.length > 0 || text_insert.length > 0) {
-					// note that diff_commonPrefix and diff_commonSuffix are unicode-aware
-					if (text_delete.length > 0 && text_insert.length > 0) {
-						// Factor out any common prefixes.
-						commonlength = diff_commonPrefix(text_insert, text_delete)
-						if (commonlength !== 0) {
-							if (previous_equality >= 0) {
-								diffs[previous_equality][1] += text_insert.substring(0, commonlength)
-							} else {
-								diffs.splice(0, 0, [DIFF_EQUAL, text_insert.substring(0, commonlength)])
-								pointer++
-							}
-							text_insert = text_insert.substring(commonlength)
-							text_delete = text_delete.substring(commonlength)
-						}
-						// Factor out any common suffixes.
-						commonlength = diff_commonSuffix(text_insert, text_delete)
-						if (commonlength !== 0) {
-							diffs[pointer][1] =
-								text_insert.substring(text_insert.length - commonlength) + diffs[pointer][1]
-							text_insert = text_insert.substring(0, text_insert.length - commonlength)
-							text_delete = text_delete.substring(0, text_delete.length - commonlength)
-						}
+		if (diff[0] === DIFF_INSERT) {
+			text_insert += diff[1]
+			continue
+		}
+		if (diff[0] === DIFF_DELETE) {
+			text_delete += diff[1]
+			continue
+		}
+
+		var equality = diff[1]
+		var previous_equality = merged.length > 0 ? merged[merged.length - 1] : null
+		if (fix_unicode) {
+			// prevent splitting of unicode surrogate pairs.  when fix_unicode is true,
+			// we assume that the old and new text in the diff are complete and correct
+			// unicode-encoded JS strings, but the tuple boundaries may fall between
+			// surrogate pairs.  we fix this by shaving off stray surrogates from the end
+			// of the previous equality and the beginning of this equality.  this may create
+			// empty equalities or a common prefix or suffix.  for example, if AB and AC are
+			// emojis, `[[0, 'A'], [-1, 'BA'], [0, 'C']]` would turn into deleting 'ABAC' and
+			// inserting 'AC', and then the common suffix 'AC' will be eliminated.  in this
+			// particular case, both equalities go away, we absorb any previous inequalities,
+			// and we keep scanning for the next equality before rewriting the tuples.
+			if (previous_equality && ends_with_pair_start(previous_equality[1])) {
+				var stray = previous_equality[1].slice(-1)
+				previous_equality[1] = previous_equality[1].slice(0, -1)
+				text_delete = stray + text_delete
+				text_insert = stray + text_insert
+				if (!previous_equality[1]) {
+					// emptied out previous equality, so delete it and include previous delete/insert
+					merged.pop()
+					var k = merged.length - 1
+					if (merged[k] && merged[k][0] === DIFF_INSERT) {
+						text_insert = merged.pop()[1] + text_insert
+						k--
 					}
-					// Delete the offending records and add the merged ones.
-					var n = count_insert + count_delete
-					if (text_delete.length === 0 && text_insert.length === 0) {
-						diffs.splice(pointer - n, n)
-						pointer = pointer - n
-					} else if (text_delete.length === 0) {
-						diffs.splice(pointer - n, n, [DIFF_INSERT, text_insert])
-						pointer = pointer - n + 1
-					} else if (text_insert.length === 0) {
-						diffs.splice(pointer - n, n, [DIFF_DELETE, text_delete])
-						pointer = pointer - n + 1
-					} else {
-						diffs.splice(pointer - n, n, [DIFF_DELETE, text_delete], [DIFF_INSERT, text_insert])
-						pointer = pointer - n + 2
+					if (merged[k] && merged[k][0] === DIFF_DELETE) {
+						text_delete = merged.pop()[1] + text_delete
+						k--
 					}
+					previous_equality = merged.length > 0 ? merged[merged.length - 1] : null
 				}
-				if (pointer !== 0 && diffs[pointer - 1][0] === DIFF_EQUAL) {
-					// Merge this equality with the previous one.
-					diffs[pointer - 1][1] += diffs[pointer][1]
-					diffs.splice(pointer, 1)
+			}
+			if (starts_with_pair_end(equality)) {
+				var stray = equality.charAt(0)
+				equality = equality.slice(1)
+				text_delete += stray
+				text_insert += stray
+			}
+		}
+		if (!isLast && !equality) {
+			// for empty equality not at end, wait for next equality
+			continue
+		}
+		if (text_delete.length > 0 && text_insert.length > 0) {
+			// note that diff_commonPrefix and diff_commonSuffix are unicode-aware
+			// Factor out any common prefixes.
+			commonlength = diff_commonPrefix(text_insert, text_delete)
+			if (commonlength !== 0) {
+				if (previous_equality) {
+					previous_equality[1] += text_insert.substring(0, commonlength)
 				} else {
-					pointer++
+					previous_equality = [DIFF_EQUAL, text_insert.substring(0, commonlength)]
+					merged.push(previous_equality)
 				}
-				count_insert = 0
-				count_delete = 0
-				text_delete = ""
-				text_insert = ""
-				break
+				text_insert = text_insert.substring(commonlength)
+				text_delete = text_delete.substring(commonlength)
+			}
+			// Factor out any common suffixes.
+			commonlength = diff_commonSuffix(text_insert, text_delete)
+			if (commonlength !== 0) {
+				equality = text_insert.substring(text_insert.length - commonlength) + equality
+				text_insert = text_insert.substring(0, text_insert.length - commonlength)
+				text_delete = text_delete.substring(0, text_delete.length - commonlength)
+			}
+		}
+		// Add the merged edits.
+		if (text_delete.length > 0) {
+			merged.push([DIFF_DELETE, text_delete])
+		}
+		if (text_insert.length > 0) {
+			merged.push([DIFF_INSERT, text_insert])
 		}
+		if (merged.length > 0 && merged[merged.length - 1][0] === DIFF_EQUAL) {
+			// Merge this equality with the previous one.
+			merged[merged.length - 1][1] += equality
+		} else if (equality) {
+			merged.push([DIFF_EQUAL, equality])
+		}
+		text_delete = ""
+		text_insert = ""
 	}
-	if (diffs[diffs.length - 1][1] === "") {
-		diffs.pop() // Remove the dummy entry at the end.
+	diffs.length = merged.length
+	for (var i = 0; i < merged.length; i++) {
+		diffs[i] = merged[i]
 	}
 
 	// Second pass: look for single edits surrounded on both sides by equalities
@@ -1028,14 +1338,28 @@ function find_cursor_edit_diff(oldText, newText, cursor_pos) {
 	return null
 }
 
-function diff(text1, text2, cursor_pos, cleanup) {
+/**
+ * @param {string} text1 Old string to be diffed.
+ * @param {string} text2 New string to be diffed.
+ * @param {Int|Object} [cursor_pos] Edit position in text1 or object with more info
+ * @param {boolean} [cleanup] Apply semantic cleanup before returning.
+ * @param {{checklines?: boolean, timeout?: number}} [options] `checklines` diffs
+ *     lines first, then characters only within the changed lines, much faster on
+ *     large texts and slightly less minimal.  `timeout` is how many seconds to
+ *     map the diff for before settling for a coarser one.
+ * @return {Array} Array of diff tuples.
+ */
+function diff(text1, text2, cursor_pos, cleanup, options) {
+	var checklines = options && options.checklines
+	var deadline = options && options.timeout ? Date.now() + options.timeout * 1000 : undefined
 	// only pass fix_unicode=true at the top level, not when diff_main is
 	// recursively invoked
-	return diff_main(text1, text2, cursor_pos, cleanup, true)
+	return diff_main(text1, text2, cursor_pos, cleanup, true, checklines, deadline)
 }
 
 diff.INSERT = DIFF_INSERT
 diff.DELETE = DIFF_DELETE
 diff.EQUAL = DIFF_EQUAL
+diff.cleanupEfficiency = diff_cleanupEfficiency
 
 module.exports = diff
@@ -0,0 +1,119 @@
+const diff = require("./fast-diff")
+const { DIFF_TIMEOUT } = require("./text-diff")
+const { runAsync } = require("./run-process")
+
+// milliseconds git gets to show a file, saves wait on it
+const GIT_TIMEOUT = 5000
+
+/** @typedef {"HEAD" | "index"} GitBase */
+
+/** runs git in the file's directory, taking paths literally so names like `[id].js` aren't globs
+ * @param {string} filePath
+ * @param {string[]} args
+ * @param {import("./cancellation").CancellationToken} [token]
+ */
+function runGit(filePath, args, token) {
+	return runAsync(
+		"/usr/bin/env",
+		{ args: ["git", "--literal-pathspecs", ...args], cwd: nova.path.dirname(filePath) },
+		undefined,
+		{ timeout: GIT_TIMEOUT, token }
+	)
+}
+
+/** whether `dirname` or a directory above it holds a git repository
+ * @param {string} dirname
+ */
+function isInRepository(dirname) {
+	for (let path = dirname; ; path = nova.path.dirname(path)) {
+		if (nova.fs.stat(nova.path.join(path, ".git"))) return true
+		if (path === nova.path.dirname(path)) return false
+	}
+}
+
+/** whether git has no version of the file at `base` yet
+ * @param {string} filePath
+ * @param {GitBase} base
+ * @param {import("./cancellation").CancellationToken} [token]
+ * @returns {Promise<boolean | undefined>} `undefined` when git fails to tell
+ */
+async function isNewToGit(filePath, base, token) {
+	if (!isInRepository(nova.path.dirname(filePath))) return true
+
+	const name = nova.path.basename(filePath)
+	const git = await runGit(
+		filePath,
+		base === "index" ? ["ls-files", "--", name] : ["ls-tree", "--name-only", "HEAD", "--", name],
+		token
+	)
+	if (git.code === 0) return !git.stdout
+
+	// a repository without commits has nothing at HEAD
+	if (base === "HEAD") {
+		const head = await runGit(filePath, ["rev-parse", "--verify", "--quiet", "HEAD"], token)
+		if (head.code === 1) return true
+	}
+}
+
+/** a file's text in the last commit or the index, as git would check it out, through the
+ * line ending conversion and smudge filters its attributes set
+ * @param {string} filePath
+ * @param {GitBase} base
+ * @param {import("./cancellation").CancellationToken} [token]
+ * @returns {Promise<string | null | undefined>} `undefined` when git doesn't have the file yet,
+ *   untracked or outside a repository, `null` when git fails to show it
+ */
+async function getBaseText(filePath, base, token) {
+	const object = `${base === "index" ? "" : "HEAD"}:./${nova.path.basename(filePath)}`
+	const git = await runGit(filePath, ["cat-file", "--filters", object], token)
+	if (git.code === 0) return git.stdout
+
+	if (await isNewToGit(filePath, base, token)) return undefined
+
+	console.log(`Can't show the ${base} version of ${filePath}:`, git.stderr.trim())
+	return null
+}
+
+/** the runs of whole lines in `text` that differ from `baseText`, lines that were only removed
+ * leave nothing behind to format
+ * @param {string} baseText
+ * @param {string} text
+ * @returns {Range[]}
+ */
+function getChangedRanges(baseText, text) {
+	/** @type {Range[]} */
+	const ranges = []
+	let offset = 0
+
+	// runs on save, so its time is bounded like the formatting diff's, a coarser diff only widens
+	// the ranges
+	const diffs = diff(baseText, text, undefined, false, { checklines: true, timeout: DIFF_TIMEOUT })
+	for (const [operation, str] of diffs) {
+		if (operation === diff.EQUAL) {
+			offset += str.length
+			continue
+		}
+
+		const isLineStart = offset === 0 || text[offset - 1] === "\n"
+		if (operation === diff.DELETE && isLineStart && str.endsWith("\n")) continue
+
+		let end = operation === diff.INSERT ? offset + str.length : offset
+		// added lines end with a line break, the line after them is untouched
+		if (end > offset && text[end - 1] === "\n") end--
+
+		const lineStart = text.lastIndexOf("\n", offset - 1) + 1
+		const lineEnd = text.indexOf("\n", end)
+		const range = new Range(lineStart, lineEnd === -1 ? text.length : lineEnd)
+
+		const previous = ranges[ranges.length - 1]
+		if (previous && previous.end >= range.start - 1)
+			ranges[ranges.length - 1] = new Range(previous.start, Math.max(previous.end, range.end))
+		else ranges.push(range)
+
+		if (operation === diff.INSERT) offset += str.length
+	}
+
+	return ranges
+}
+
+module.exports = { getBaseText, getChangedRanges }
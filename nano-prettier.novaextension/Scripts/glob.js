@@ -0,0 +1,38 @@
+/** converts a gitignore-style glob into a regular expression
+ *
+ * `**` spans directories, `*` and `?` stay within one, a glob without a `/`
+ * matches at any depth and a trailing `/` matches everything under a directory.
+ * @param {string} glob
+ */
+function globToRegExp(glob) {
+	// like gitignore, a trailing `/` alone doesn't anchor the glob
+	const anchored = glob.replace(/\/$/, "").includes("/")
+	if (glob.endsWith("/")) glob += "**"
+	if (glob.startsWith("/")) glob = glob.slice(1)
+
+	let source = ""
+	for (let i = 0; i < glob.length; i++) {
+		const char = glob[i]
+		if (char === "*" && glob[i + 1] === "*") {
+			// `**/` may also match no directories at all
+			if (glob[i + 2] === "/") {
+				source += "(?:.*/)?"
+				i += 2
+			} else {
+				source += ".*"
+				i += 1
+			}
+		} else if (char === "*") source += "[^/]*"
+		else if (char === "?") source += "[^/]"
+		else source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&")
+	}
+
+	return new RegExp(`${anchored ? "^" : "(?:^|/)"}${source}$`)
+}
+
+/** @param {string} relativePath - `/` separated, relative to where the globs apply @param {string[]} globs */
+function matchesGlobs(relativePath, globs) {
+	return globs.some((glob) => globToRegExp(glob).test(relativePath))
+}
+
+module.exports = { globToRegExp, matchesGlobs }
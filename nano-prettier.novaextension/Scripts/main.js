@@ -1,174 +1,291 @@
-const diff = require("./fast-diff")
-
-const CURSOR_MARKER = String.fromCharCode(0xfffd) // Replacement character
-const DEFAULT_PRETTIER_CONFIG_FILENAMES = [
-	".prettierrc",
-	".prettierrc.json",
-	".prettierrc.yml",
-	".prettierrc.yaml",
-	".prettierrc.json5",
-	".prettierrc.js",
-	".prettierrc.cjs",
-	".prettierrc.ts",
-	".prettierrc.mjs",
-	".prettierrc.mts",
-	".prettierrc.cts",
-	".prettierrc.toml",
-	"prettier.config.js",
-	"prettier.config.cjs",
-	"prettier.config.ts",
-	"prettier.config.mjs",
-	"prettier.config.mts",
-	"prettier.config.cts"
-]
-
-/**
- * @param {string} executablePath
- * @param {ConstructorParameters<typeof Process>[1]} options
- * @param {string} [stdin] - Optional text to write to stdin
- * @returns {Promise<{ code: number; stdout: string; stderr: string }>}
+const { stopWorkers } = require("./worker-pool")
+const { getConfig } = require("./config")
+const { matchesGlobs } = require("./glob")
+const {
+	FileIgnoredError,
+	PrettierNotFoundError,
+	hasPrettierConfig,
+	resolvePrettier,
+	runPrettier
+} = require("./prettier")
+const { CancellationToken, CancelledError } = require("./cancellation")
+const { checkFormatting, formatAllFiles, disposeWorkspaceIssues } = require("./workspace")
+const { showPrettierSetup } = require("./setup-report")
+const { getParserForSyntax } = require("./syntax-parsers")
+const { toUnifiedDiff } = require("./unified-diff")
+const { getBaseText, getChangedRanges } = require("./git-changes")
+const { applyTextDiff, diffTexts } = require("./text-diff")
+
+const BOM = "\ufeff"
+// documents whose texts are remembered, the least recently formatted are forgotten first
+const REMEMBERED_DOCUMENTS = 50
+const syntaxIssues = new IssueCollection("Prettier")
+/** @type {WeakMap<TextEditor, CancellationToken>} the latest format run per editor */
+const editorRuns = new WeakMap()
+/** @type {Map<string, string>} last text prettier produced or accepted, per document URI, so saving
+ *   already formatted text skips prettier, even after the document was closed and reopened */
+const formattedTexts = new Map()
+/** @type {Map<string, { before: string; after: string }>} the text around the last format, per
+ *   document URI, for Undo Last Formatting, as many documents as `formattedTexts` */
+const lastFormats = new Map()
+
+/** remembers `value` for a document, forgetting the least recently remembered one past
+ * `REMEMBERED_DOCUMENTS`, so a long session doesn't hold on to the text of every file it formatted
+ * @template T
+ * @param {Map<string, T>} texts
+ * @param {string} uri
+ * @param {T} value
  */
-function runAsync(executablePath, options, stdin) {
-	return new Promise((resolve) => {
-		const process = new Process(executablePath, options)
-
-		let stdout = ""
-		let stderr = ""
-
-		process.onStdout((line) => (stdout += line))
-		process.onStderr((line) => (stderr += line))
-		process.onDidExit((code) => resolve({ code, stdout, stderr }))
+function remember(texts, uri, value) {
+	texts.delete(uri)
+	texts.set(uri, value)
+	if (texts.size > REMEMBERED_DOCUMENTS)
+		texts.delete(/** @type {string} */ (texts.keys().next().value))
+}
 
-		process.start()
+/** cancels the editor's in-flight run, if any, in favour of a new one
+ * @param {TextEditor} editor
+ */
+function startRun(editor) {
+	editorRuns.get(editor)?.cancel()
+	const token = new CancellationToken()
+	editorRuns.set(editor, token)
+	return token
+}
 
-		if (!stdin) return
-		const writer = process.stdin.getWriter()
-		writer.write(stdin)
-		writer.close()
-	})
+/** @param {TextEditor} editor @returns {number | undefined} the caret's offset, if it's all there is */
+function getCaretOffset(editor) {
+	const [range, ...otherRanges] = editor.selectedRanges
+	return range && range.empty && !otherRanges.length ? range.start : undefined
 }
 
-/** travels up workspace directories seeking a relative path
- * @param {string} dirname - starting dirname
- * @param {string[]} targetPaths - paths to check
- * @returns info on the closest path or `undefined`
+/** replaces the editor text with `formatted`, keeping selections, and the primary one in view
+ * @param {TextEditor} editor
+ * @param {string} original - editor text `formatted` was computed from
+ * @param {string} formatted
+ * @param {{ from: number; to: number }} [caret] - where prettier's `--cursor-offset` moved a lone caret
+ * @returns {Promise<boolean>} whether it was applied, it isn't once the text moved on from `original`
  */
-function getClosestPathInfo(dirname, targetPaths) {
-	for (let i = 0; i <= 100; i++) {
-		const rootPath = nova.path.normalize(nova.path.join(dirname, "../".repeat(i)))
-
-		for (const targetPath of targetPaths) {
-			const filePath = nova.path.join(rootPath, targetPath)
-			if (nova.fs.stat(filePath) && nova.workspace.contains(filePath))
-				return { rootPath, targetPath, filePath }
+async function applyFormatted(editor, original, formatted, caret) {
+	const anchor = editor.selectedRange.start
+	let isStale = false
+	const newSelections = await editor.edit((edit) => {
+		// the user typed while prettier ran, diffing onto the new text would garble it
+		isStale = editor.document.getTextInRange(new Range(0, editor.document.length)) !== original
+		if (isStale) return
+
+		// prettier knows exactly where the caret goes, unless it moved since
+		if (caret && getCaretOffset(editor) === caret.from) {
+			applyTextDiff(edit, original, formatted, [])
+			return [new Range(caret.to, caret.to)]
 		}
+		return applyTextDiff(edit, original, formatted, editor.selectedRanges)
+	})
+	if (isStale) {
+		console.log(`Discarding stale prettier result for ${editor.document.path}`)
+		return false
+	}
 
-		if (rootPath === "/") return // we hit top-level directory
+	remember(lastFormats, editor.document.uri, {
+		before: original,
+		after: editor.document.getTextInRange(new Range(0, editor.document.length))
+	})
+	if (newSelections && newSelections.length > 0) {
+		editor.selectedRanges = newSelections
+		// Nova doesn't tell what's on screen, so the primary selection stands in for the content the
+		// user was looking at, and the viewport follows it when formatting moved it
+		if (newSelections[0].start !== anchor) editor.scrollToPosition(newSelections[0].start)
 	}
+	return true
 }
 
-/** Apply a character-level diff between two strings with cursor tracking.
- * @param {TextEditorEdit} edit - The Nova TextEditorEdit instance.
- * @param {string} original - Original text.
- * @param {string} formatted - Updated text.
- * @param {Range[]} selectedRanges - Array of selected ranges.
- * @returns {Range[]} - New selection ranges after formatting.
+/** what prettier resolves its setup for, and the parser Nova's syntax maps to
+ *
+ * Untitled documents have no path, so they borrow the workspace root's prettier and config and
+ * rely on the syntax for their parser.
+ * @param {TextDocument} document
+ * @returns {{
+ *   filePath: string
+ *   parser?: string
+ *   isUntitled: boolean
+ *   endOfLine: "lf" | "crlf" | "cr"
+ * } | undefined}
  */
-function applyTextDiff(edit, original, formatted, selectedRanges) {
-	if (original.includes(CURSOR_MARKER) || formatted.includes(CURSOR_MARKER)) {
-		edit.replace(new Range(0, original.length), formatted) // Fall back to simple replacement
-		return selectedRanges
-	}
+function getFormatTarget(document) {
+	const parser = getParserForSyntax(document.syntax)
+	const endOfLine =
+		document.eol === "\r\n" ? "crlf"
+		: document.eol === "\r" ? "cr"
+		: "lf"
+	if (document.path) return { filePath: document.path, parser, isUntitled: false, endOfLine }
+	if (!parser) return
+
+	const dirname = nova.workspace.path ?? nova.path.expanduser("~")
+	return { filePath: nova.path.join(dirname, "untitled"), parser, isUntitled: true, endOfLine }
+}
 
-	// Insert cursor markers around each selection
-	let originalWithCursors = ""
-	let lastEnd = 0
-
-	for (const selection of selectedRanges) {
-		originalWithCursors +=
-			original.slice(lastEnd, selection.start) +
-			CURSOR_MARKER +
-			original.slice(selection.start, selection.end) +
-			CURSOR_MARKER
-		lastEnd = selection.end
+/** runs prettier for a document, falling back on its syntax's parser when the path doesn't tell
+ * prettier which to use, like extensionless scripts, and keeping the document's line endings and BOM
+ * @param {NonNullable<ReturnType<typeof getFormatTarget>>} target
+ * @param {NonNullable<ReturnType<typeof resolvePrettier>>} resolved
+ * @param {string} text
+ * @param {{ rangeStart?: number; rangeEnd?: number; cursorOffset?: number }} options
+ * @param {CancellationToken} token
+ */
+async function runPrettierForTarget(target, resolved, text, options, token) {
+	const { parser, endOfLine } = target
+	const run = async () => {
+		if (target.isUntitled)
+			return runPrettier(resolved, text, { ...options, parser, endOfLine }, token)
+
+		try {
+			return await runPrettier(resolved, text, { ...options, endOfLine }, token)
+		} catch (error) {
+			if (
+				!parser ||
+				!(error instanceof Error) ||
+				!error.message.startsWith("[error] No parser could be inferred")
+			)
+				throw error
+			return runPrettier(resolved, text, { ...options, parser, endOfLine }, token)
+		}
 	}
-	originalWithCursors += original.slice(lastEnd)
 
-	const diffs = diff(originalWithCursors, formatted)
+	const result = await run()
+	// a prettier that drops the BOM would show it as a change to the whole first line
+	if (text.startsWith(BOM) && !result.formatted.startsWith(BOM))
+		return {
+			formatted: BOM + result.formatted,
+			cursorOffset: result.cursorOffset === undefined ? undefined : result.cursorOffset + 1
+		}
+	return result
+}
 
-	/** @type {number[]} */
-	const selections = []
-	let offset = 0
-	let toRemove = 0
+/** @param {TextEditor} editor @param {string | undefined} lastFormattedText */
+async function maybeFormat(editor, lastFormattedText) {
+	const target = getFormatTarget(editor.document)
+	if (!target) return
 
-	// Add an extra empty edit so any trailing delete is actually run
-	diffs.push([diff.EQUAL, ""])
+	const wholeFileText = editor.document.getTextInRange(new Range(0, editor.document.length))
+	if (lastFormattedText === wholeFileText) return
 
-	for (const [operation, str] of diffs) {
-		if (operation === diff.DELETE) {
-			toRemove += str.length
+	const resolved = resolvePrettier(target.filePath)
+	if (!resolved) throw new PrettierNotFoundError(target.filePath)
 
-			// Check if cursors are in the deleted text
-			let cursorIndex = -1
-			while (true) {
-				cursorIndex = str.indexOf(CURSOR_MARKER, cursorIndex + 1)
-				if (cursorIndex === -1) break
+	const cursorOffset = getCaretOffset(editor)
+	const result = await runPrettierForTarget(
+		target,
+		resolved,
+		wholeFileText,
+		{ cursorOffset },
+		startRun(editor)
+	)
+	const formattedText = result.formatted
+	syntaxIssues.remove(editor.document.uri)
+	if (wholeFileText === formattedText) {
+		remember(formattedTexts, editor.document.uri, formattedText)
+		return
+	}
 
-				const lastSelection = selections[selections.length - 1]
-				if (!lastSelection || lastSelection[1] !== undefined) selections.push([offset])
-				else lastSelection[1] = offset
+	const caret =
+		cursorOffset !== undefined && result.cursorOffset !== undefined ?
+			{ from: cursorOffset, to: result.cursorOffset }
+		:	undefined
+	if (!(await applyFormatted(editor, wholeFileText, formattedText, caret))) return
+	remember(formattedTexts, editor.document.uri, formattedText)
 
-				toRemove -= CURSOR_MARKER.length
-			}
-			continue
-		}
+	return formattedText
+}
 
-		if (operation === diff.EQUAL && toRemove) edit.replace(new Range(offset, offset + toRemove), "")
-		else if (operation === diff.INSERT) edit.replace(new Range(offset, offset + toRemove), str)
+/** formats each range of `wholeFileText` with `--range-start`/`--range-end`
+ * @param {TextEditor} editor
+ * @param {NonNullable<ReturnType<typeof getFormatTarget>>} target
+ * @param {NonNullable<ReturnType<typeof resolvePrettier>>} resolved
+ * @param {string} wholeFileText - editor text the ranges are in
+ * @param {Range[]} ranges
+ * @param {CancellationToken} token
+ * @returns {Promise<string | undefined>} the formatted text, unless the editor moved on from `wholeFileText`
+ */
+async function formatRanges(editor, target, resolved, wholeFileText, ranges, token) {
+	// last range first, so formatting one range never shifts the offsets of the ones before it
+	const sortedRanges = ranges.filter((range) => range.length > 0).sort((a, b) => b.start - a.start)
+
+	let formattedText = wholeFileText
+	for (const range of sortedRanges)
+		formattedText = (
+			await runPrettierForTarget(
+				target,
+				resolved,
+				formattedText,
+				{ rangeStart: range.start, rangeEnd: range.end },
+				token
+			)
+		).formatted
+	syntaxIssues.remove(editor.document.uri)
+	if (wholeFileText === formattedText) return formattedText
+
+	if (!(await applyFormatted(editor, wholeFileText, formattedText))) return
+	return formattedText
+}
 
-		toRemove = 0
-		offset += str.length
-	}
+/** formats each selected range
+ * @param {TextEditor} editor
+ */
+async function formatSelection(editor) {
+	const target = getFormatTarget(editor.document)
+	if (!target) return
+	// carets have nothing for prettier to format, `formatRanges` skips them
+	if (editor.selectedRanges.every((range) => range.length === 0))
+		return nova.workspace.showInformativeMessage("Select the text to format.")
 
-	// Convert selection arrays to Range objects, handling incomplete selections
-	return selections.map((s) => new Range(s[0], s[1] !== undefined ? s[1] : s[0]))
+	const resolved = resolvePrettier(target.filePath)
+	if (!resolved) throw new PrettierNotFoundError(target.filePath)
+
+	const wholeFileText = editor.document.getTextInRange(new Range(0, editor.document.length))
+	await formatRanges(
+		editor,
+		target,
+		resolved,
+		wholeFileText,
+		editor.selectedRanges,
+		startRun(editor)
+	)
 }
 
-/** @param {TextEditor} editor @param {string | undefined} lastFormattedText */
-async function maybeFormat(editor, lastFormattedText) {
-	const filePath = editor.document.path
-	if (!filePath) return
+/** formats only the lines that changed since `base`, the whole document when git doesn't have it,
+ * nothing when git fails
+ * @param {TextEditor} editor
+ * @param {string | undefined} lastFormattedText
+ * @param {import("./git-changes").GitBase} base
+ */
+async function formatChangedLines(editor, lastFormattedText, base) {
+	const target = getFormatTarget(editor.document)
+	if (!target) return
+	if (target.isUntitled) return maybeFormat(editor, lastFormattedText)
 
 	const wholeFileText = editor.document.getTextInRange(new Range(0, editor.document.length))
 	if (lastFormattedText === wholeFileText) return
 
-	const executableInfo = getClosestPathInfo(nova.path.dirname(filePath), [
-		"node_modules/.bin/prettier"
-	])
-	if (!executableInfo) return
-
-	const configPath = getClosestPathInfo(nova.path.dirname(filePath), [
-		...(nova.config.get("config_file_names", "array") ?? []),
-		...DEFAULT_PRETTIER_CONFIG_FILENAMES
-	])?.filePath
-	const args = ["--stdin-filepath", filePath]
-	if (configPath) args.push("--config", configPath)
-
-	console.log([executableInfo.filePath, ...args].join(" "))
-	const prettier = await runAsync(
-		executableInfo.filePath,
-		{ args, cwd: executableInfo.rootPath },
-		wholeFileText
-	)
-	if (prettier.code !== 0) throw new Error(prettier.stderr)
-	if (wholeFileText === prettier.stdout) return
+	const resolved = resolvePrettier(target.filePath)
+	if (!resolved) throw new PrettierNotFoundError(target.filePath)
 
-	const newSelections = await editor.edit((edit) =>
-		applyTextDiff(edit, wholeFileText, prettier.stdout, editor.selectedRanges)
-	)
-	if (newSelections && newSelections.length > 0) editor.selectedRanges = newSelections
+	const token = startRun(editor)
+	const baseText = await getBaseText(target.filePath, base, token)
+	// without the base, any line might be changed, formatting the file whole would rewrite its blame
+	if (baseText === null) return
+	// a new file is all changed lines
+	if (baseText === undefined) return maybeFormat(editor, lastFormattedText)
 
-	return prettier.stdout
+	const ranges = getChangedRanges(baseText, wholeFileText)
+	const formattedText = await formatRanges(editor, target, resolved, wholeFileText, ranges, token)
+	if (formattedText !== undefined) remember(formattedTexts, editor.document.uri, formattedText)
+}
+
+/** the version changed lines are told apart from, the index when only unstaged lines are formatted
+ * @returns {import("./git-changes").GitBase}
+ */
+function getChangedLinesBase() {
+	return getFormatOnSaveScope() === "unstaged_lines" ? "index" : "HEAD"
 }
 
 /** @param {unknown} error  */
@@ -184,26 +301,273 @@ function toastError(error) {
 	nova.notifications.add(notification)
 }
 
+/** turns prettier's `SyntaxError: message (line:column)` output, and the code frame after it, into an issue
+ * @param {string} stderr
+ * @returns {Issue | undefined}
+ */
+function parseSyntaxError(stderr) {
+	const [firstLine, ...codeFrame] = stderr
+		.trimEnd()
+		.split("\n")
+		.map((line) => line.replace(/^\[error\] ?/, ""))
+
+	const match = firstLine.match(/(\w*Error): (.*) \((\d+):(\d+)\)$/)
+	if (!match) return
+	const [, name, message, line, column] = match
+
+	const issue = new Issue()
+	issue.source = "Prettier"
+	issue.code = name
+	issue.severity = IssueSeverity.Error
+	issue.message = [message, ...codeFrame].join("\n")
+	issue.line = Number(line)
+	issue.column = Number(column)
+
+	// the code frame underlines the whole node when prettier knows where it ends
+	const underline = codeFrame.find((frameLine) => /^\s*\|\s*\^/.test(frameLine))
+	const carets = underline?.match(/\^+/)?.[0].length ?? 1
+	issue.endLine = issue.line
+	issue.endColumn = issue.column + carets
+
+	return issue
+}
+
+/**
+ * @param {TextEditor} editor
+ * @param {unknown} error
+ * @param {boolean} [isExplicit] - whether the user asked for this format, rather than saving
+ */
+function handleFormatError(editor, error, isExplicit = false) {
+	if (!(error instanceof Error)) return toastError(error)
+
+	// a newer run took over
+	if (error instanceof CancelledError) return
+
+	if (error instanceof FileIgnoredError) {
+		if (isExplicit) nova.workspace.showInformativeMessage(error.message)
+		else console.log(error.message)
+		return
+	}
+
+	if (error instanceof PrettierNotFoundError) {
+		if (isExplicit) nova.workspace.showWarningMessage(error.message)
+		else console.log(error.message)
+		return
+	}
+
+	if (error.message.startsWith("[error] No parser could be inferred for file")) {
+		console.warn(error.message)
+		return
+	}
+
+	const issue = parseSyntaxError(error.message)
+	if (issue) syntaxIssues.set(editor.document.uri, [issue])
+	else toastError(error)
+}
+
+nova.commands.register("com.tomatrow.nano-prettier.format", (editor) => {
+	// no `lastFormattedText`, an explicit format always runs
+	maybeFormat(editor, undefined).catch((error) => handleFormatError(editor, error, true))
+})
+
+nova.commands.register("com.tomatrow.nano-prettier.formatSelection", (editor) => {
+	formatSelection(editor).catch((error) => handleFormatError(editor, error, true))
+})
+
+nova.commands.register("com.tomatrow.nano-prettier.formatChangedLines", (editor) => {
+	formatChangedLines(editor, undefined, getChangedLinesBase()).catch((error) =>
+		handleFormatError(editor, error, true)
+	)
+})
+
+/** opens a diff of what formatting would change, offering to apply it
+ * @param {TextEditor} editor
+ */
+async function previewFormatting(editor) {
+	const target = getFormatTarget(editor.document)
+	if (!target) return
+
+	const resolved = resolvePrettier(target.filePath)
+	if (!resolved) throw new PrettierNotFoundError(target.filePath)
+
+	const original = editor.document.getTextInRange(new Range(0, editor.document.length))
+	const { formatted } = await runPrettierForTarget(target, resolved, original, {}, startRun(editor))
+	syntaxIssues.remove(editor.document.uri)
+	if (original === formatted)
+		return nova.workspace.showInformativeMessage("Prettier wouldn't change this document.")
+
+	const name =
+		editor.document.path ? nova.workspace.relativizePath(editor.document.path) : "untitled"
+	await nova.workspace.openNewTextDocument({
+		content: toUnifiedDiff(diffTexts(original, formatted), original, formatted, name),
+		syntax: "diff"
+	})
+
+	nova.workspace.showActionPanel(
+		`Apply Prettier's changes to ${name}?`,
+		{ buttons: ["Apply", "Discard"] },
+		(index) => {
+			if (index !== 0) return
+			applyFormatted(editor, original, formatted)
+				.then((isApplied) => {
+					if (isApplied) remember(formattedTexts, editor.document.uri, formatted)
+					else
+						nova.workspace.showWarningMessage(
+							"The document changed since the preview, preview it again."
+						)
+				})
+				.catch(toastError)
+		}
+	)
+}
+
+nova.commands.register("com.tomatrow.nano-prettier.previewFormatting", (editor) => {
+	previewFormatting(editor).catch((error) => handleFormatError(editor, error, true))
+})
+
+/** puts back the text from before the last format, as long as nothing changed it since
+ * @param {TextEditor} editor
+ */
+async function undoLastFormatting(editor) {
+	const { uri } = editor.document
+	const lastFormat = lastFormats.get(uri)
+	if (!lastFormat)
+		return nova.workspace.showInformativeMessage("Prettier hasn't formatted this document yet.")
+
+	const text = editor.document.getTextInRange(new Range(0, editor.document.length))
+	if (text !== lastFormat.after)
+		return nova.workspace.showWarningMessage(
+			"The document changed since Prettier formatted it, use Undo instead."
+		)
+
+	if (!(await applyFormatted(editor, lastFormat.after, lastFormat.before))) return
+	lastFormats.delete(uri)
+	// saving right away keeps the restored text rather than formatting it again
+	remember(formattedTexts, uri, lastFormat.before)
+}
+
+nova.commands.register("com.tomatrow.nano-prettier.undoFormatting", (editor) => {
+	undoLastFormatting(editor).catch(toastError)
+})
+
+nova.commands.register("com.tomatrow.nano-prettier.showSetup", (editor) => {
+	showPrettierSetup(editor).catch(toastError)
+})
+
+nova.commands.register("com.tomatrow.nano-prettier.checkWorkspace", () => {
+	const workspacePath = nova.workspace.path
+	if (!workspacePath) return nova.workspace.showWarningMessage("Open a workspace folder to check.")
+
+	checkFormatting(workspacePath).catch(toastError)
+})
+
+/** @param {TextEditor} editor */
+function formatEditorInPlace(editor) {
+	return maybeFormat(editor, undefined)
+}
+
+nova.commands.register("com.tomatrow.nano-prettier.formatWorkspace", () => {
+	const workspacePath = nova.workspace.path
+	if (!workspacePath) return nova.workspace.showWarningMessage("Open a workspace folder to format.")
+
+	formatAllFiles(workspacePath, formatEditorInPlace).catch(toastError)
+})
+
+nova.commands.register("com.tomatrow.nano-prettier.formatFolder", () => {
+	nova.workspace.showFileChooser(
+		"Choose a folder to format with Prettier",
+		{ prompt: "Format", allowFiles: false, allowDirectories: true },
+		(paths) => {
+			if (!paths?.[0]) return
+			formatAllFiles(paths[0], formatEditorInPlace).catch(toastError)
+		}
+	)
+})
+
+/** @typedef {"always" | "with_config" | "off"} FormatOnSaveMode */
+
+/** @returns {FormatOnSaveMode} */
+function getFormatOnSaveMode() {
+	return /** @type {FormatOnSaveMode | null} */ (getConfig("format_on_save", "string")) ?? "always"
+}
+
+/** @typedef {"file" | "changed_lines" | "unstaged_lines"} FormatOnSaveScope */
+
+/** @returns {FormatOnSaveScope} */
+function getFormatOnSaveScope() {
+	return (
+		/** @type {FormatOnSaveScope | null} */ (getConfig("format_on_save_scope", "string")) ?? "file"
+	)
+}
+
+/** whether the on-save syntax and glob rules leave a document out, read at save time so a
+ * changed syntax or path always counts
+ * @param {TextDocument} document
+ */
+function isExcludedFromFormatOnSave(document) {
+	const syntaxes = /** @type {string[] | null} */ (
+		getConfig("format_on_save_excluded_syntaxes", "array")
+	)
+	if (document.syntax && syntaxes?.includes(document.syntax)) return true
+
+	const globs = /** @type {string[] | null} */ (getConfig("format_on_save_excluded_globs", "array"))
+	return (
+		!!document.path &&
+		!!globs?.length &&
+		matchesGlobs(nova.workspace.relativizePath(document.path), globs)
+	)
+}
+
+/** @param {TextEditor} editor */
+function shouldFormatOnSave(editor) {
+	const filePath = editor.document.path
+	if (!filePath) return false
+	if (isExcludedFromFormatOnSave(editor.document)) return false
+
+	switch (getFormatOnSaveMode()) {
+		case "off":
+			return false
+		case "with_config":
+			return hasPrettierConfig(filePath)
+		default:
+			return true
+	}
+}
+
+nova.commands.register("com.tomatrow.nano-prettier.toggleFormatOnSave", () => {
+	const globalMode = nova.config.get("format_on_save", "string") ?? "always"
+	const nextMode =
+		getFormatOnSaveMode() !== "off" ? "off"
+		: globalMode !== "off" ? globalMode
+		: "always"
+
+	// back on the global mode, drop the workspace override rather than pin it
+	if (nextMode === globalMode) nova.workspace.config.remove("format_on_save")
+	else nova.workspace.config.set("format_on_save", nextMode)
+
+	nova.workspace.showInformativeMessage(
+		nextMode === "off" ?
+			"Format on save is off for this workspace."
+		:	"Format on save is on for this workspace."
+	)
+})
+
 nova.workspace.onDidAddTextEditor((editor) => {
-	/** @type {string | undefined} */
-	let lastFormattedText
+	// Nova holds the save until the returned promise settles, so the formatted text is what gets written
 	editor.onWillSave(() => {
-		maybeFormat(editor, lastFormattedText)
-			.then((formattedText) => {
-				if (formattedText === undefined) return
-				lastFormattedText = formattedText
-				setTimeout(() => editor.save())
-			})
-			.catch((error) => {
-				if (
-					error instanceof Error &&
-					error.message.startsWith("[error] No parser could be inferred for file")
-				) {
-					console.warn(prettier.stderr)
-					return
-				}
-
-				toastError(error)
-			})
+		if (!shouldFormatOnSave(editor)) return
+
+		const lastFormattedText = formattedTexts.get(editor.document.uri)
+		const format =
+			getFormatOnSaveScope() === "file" ?
+				maybeFormat(editor, lastFormattedText)
+			:	formatChangedLines(editor, lastFormattedText, getChangedLinesBase())
+		return format.catch((error) => handleFormatError(editor, error))
 	})
 })
+
+exports.deactivate = function () {
+	stopWorkers()
+	syntaxIssues.dispose()
+	disposeWorkspaceIssues()
+}
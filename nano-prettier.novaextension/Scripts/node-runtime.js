@@ -0,0 +1,147 @@
+const { getConfig } = require("./config")
+const { getClosestPathInfo, isExecutable, readText } = require("./paths")
+
+/** where version managers install each node version, one directory per version */
+const VERSION_MANAGER_INSTALLS = [
+	{ name: "nvm", dirname: "~/.nvm/versions/node", binPath: "bin/node" },
+	{ name: "fnm", dirname: "~/.local/share/fnm/node-versions", binPath: "installation/bin/node" },
+	{
+		name: "fnm",
+		dirname: "~/Library/Application Support/fnm/node-versions",
+		binPath: "installation/bin/node"
+	},
+	{ name: "volta", dirname: "~/.volta/tools/image/node", binPath: "bin/node" },
+	{ name: "asdf", dirname: "~/.asdf/installs/nodejs", binPath: "bin/node" }
+]
+/** version manager shims and common install locations, for when nothing pins a version */
+const DEFAULT_NODE_PATHS = [
+	"~/.volta/bin/node",
+	"~/.asdf/shims/node",
+	"~/.local/share/fnm/aliases/default/bin/node",
+	"~/Library/Application Support/fnm/aliases/default/bin/node",
+	"/opt/homebrew/bin/node",
+	"/usr/local/bin/node"
+]
+/** files that pin a node version, with how to read it, nearest directory first */
+const VERSION_FILES = [
+	{ name: "package.json", read: (/** @type {string} */ text) => JSON.parse(text).volta?.node },
+	{ name: ".nvmrc", read: (/** @type {string} */ text) => text.trim() },
+	{ name: ".node-version", read: (/** @type {string} */ text) => text.trim() },
+	{
+		name: ".tool-versions",
+		read: (/** @type {string} */ text) => text.match(/^nodejs\s+(\S+)/m)?.[1]
+	}
+]
+
+/** @typedef {{ path: string; source: string }} NodeRuntime */
+
+/** reads the node version a file pins, if it's one of `VERSION_FILES` and pins one
+ * @param {string} filePath
+ * @returns {string | undefined}
+ */
+function readPin(filePath) {
+	const versionFile = VERSION_FILES.find(({ name }) => name === nova.path.basename(filePath))
+	const text = readText(filePath)
+	if (!versionFile || text === undefined) return
+
+	try {
+		return versionFile.read(text) || undefined
+	} catch {}
+}
+
+/** finds the closest pinned node version
+ * @param {string} dirname
+ * @returns {{ version: string; filePath: string } | undefined}
+ */
+function getPinnedVersion(dirname) {
+	const names = VERSION_FILES.map(({ name }) => name)
+	const filePath = getClosestPathInfo(dirname, names, (path) => !!readPin(path))?.filePath
+	const version = filePath && readPin(filePath)
+	if (filePath && version) return { version, filePath }
+}
+
+/** @param {string} version - like `v20.11.0` */
+function parseVersion(version) {
+	return version.replace(/^v/, "").split(".").map(Number)
+}
+
+/** @param {number[]} a @param {number[]} b */
+function compareVersions(a, b) {
+	for (let i = 0; i < Math.max(a.length, b.length); i++)
+		if ((a[i] ?? 0) !== (b[i] ?? 0)) return (a[i] ?? 0) - (b[i] ?? 0)
+	return 0
+}
+
+/** finds the newest installed node matching a version pin, `undefined` pins match anything
+ * @param {string | undefined} pin - like `20`, `v20.11` or `lts/iron`
+ * @returns {NodeRuntime | undefined}
+ */
+function findInstalledNode(pin) {
+	// aliases like `lts/*` or `node` can't be resolved offline, the newest install stands in for them
+	const pinParts = pin && /^v?\d+(\.\d+)*$/.test(pin) ? parseVersion(pin) : undefined
+
+	/** @type {(NodeRuntime & { version: number[] }) | undefined} */
+	let newest
+	for (const install of VERSION_MANAGER_INSTALLS) {
+		const dirname = nova.path.expanduser(install.dirname)
+		if (!nova.fs.stat(dirname)?.isDirectory()) continue
+
+		for (const name of nova.fs.listdir(dirname)) {
+			const version = parseVersion(name)
+			if (version.some(isNaN)) continue
+			if (pinParts && pinParts.some((part, i) => part !== version[i])) continue
+
+			const nodePath = nova.path.join(dirname, name, install.binPath)
+			if (!isExecutable(nodePath)) continue
+			if (!newest || compareVersions(version, newest.version) > 0)
+				newest = { path: nodePath, source: `${install.name} ${name}`, version }
+		}
+	}
+
+	return newest && { path: newest.path, source: newest.source }
+}
+
+/** finds the node to run prettier with: the `node_path` setting, then a version pinned by
+ * package.json's `volta` field, `.nvmrc`, `.node-version` or `.tool-versions`, then nvm's
+ * default, the `PATH`, version manager shims, and finally any version manager install
+ * @param {string} dirname - directory prettier runs for
+ * @returns {NodeRuntime | undefined}
+ */
+function resolveNode(dirname) {
+	const settingPath = /** @type {string | null} */ (getConfig("node_path", "string"))
+	if (settingPath) {
+		const nodePath = nova.path.expanduser(settingPath)
+		if (isExecutable(nodePath)) return { path: nodePath, source: "setting" }
+		console.warn(`node_path ${nodePath} is not an executable, ignoring it`)
+	}
+
+	const pinned = getPinnedVersion(dirname)
+	if (pinned) {
+		const installed = findInstalledNode(pinned.version)
+		if (installed)
+			return {
+				...installed,
+				source: `${installed.source} from ${nova.path.basename(pinned.filePath)}`
+			}
+		console.warn(`node ${pinned.version} from ${pinned.filePath} is not installed`)
+	}
+
+	const nvmDefault = readText(nova.path.expanduser("~/.nvm/alias/default"))?.trim()
+	if (nvmDefault) {
+		const installed = findInstalledNode(nvmDefault)
+		if (installed) return { ...installed, source: `${installed.source} (default)` }
+	}
+
+	for (const binPath of (nova.environment.PATH ?? "").split(":")) {
+		if (!binPath) continue
+		const nodePath = nova.path.join(binPath, "node")
+		if (isExecutable(nodePath)) return { path: nodePath, source: "PATH" }
+	}
+
+	for (const nodePath of DEFAULT_NODE_PATHS.map((nodePath) => nova.path.expanduser(nodePath)))
+		if (isExecutable(nodePath)) return { path: nodePath, source: "default" }
+
+	return findInstalledNode(undefined)
+}
+
+module.exports = { resolveNode }
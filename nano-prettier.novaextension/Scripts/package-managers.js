@@ -0,0 +1,78 @@
+const { getClosestPathInfo, readText, readJSON } = require("./paths")
+
+const LOCKFILE_PACKAGE_MANAGERS = {
+	"yarn.lock": "yarn",
+	"pnpm-lock.yaml": "pnpm",
+	"bun.lock": "bun",
+	"bun.lockb": "bun",
+	"package-lock.json": "npm"
+}
+const PNP_LOADERS = [".pnp.cjs", ".pnp.js"]
+
+/** @typedef {import("./prettier").ExecutableInfo} ExecutableInfo */
+
+/** reads `yarnPath` from `.yarnrc.yml`, the yarn release a project pins
+ * @param {string} rootPath
+ */
+function getYarnPath(rootPath) {
+	const yarnrc = readText(nova.path.join(rootPath, ".yarnrc.yml"))
+	const yarnPath = yarnrc?.match(/^yarnPath:\s*["']?(.+?)["']?\s*$/m)?.[1]
+	return yarnPath && nova.path.join(rootPath, yarnPath)
+}
+
+/** finds prettier's bin script from its package, for installs without a `.bin` link
+ * @param {string} packagePath - directory of the prettier package
+ */
+function getPrettierBinPath(packagePath) {
+	const packageJson = readJSON(nova.path.join(packagePath, "package.json"))
+	const bin = typeof packageJson?.bin === "string" ? packageJson.bin : packageJson?.bin?.prettier
+	return bin && nova.path.join(packagePath, bin)
+}
+
+/** finds prettier where the closest lockfile's package manager puts it, when
+ * there's no `node_modules/.bin/prettier`: behind Yarn Plug'n'Play, or only in
+ * the package store as hoisted pnpm and some bun layouts leave it
+ * @param {string} dirname
+ * @returns {ExecutableInfo | undefined}
+ */
+function resolvePackageManagerExecutable(dirname) {
+	const lockfileInfo = getClosestPathInfo(dirname, Object.keys(LOCKFILE_PACKAGE_MANAGERS))
+	if (!lockfileInfo) return
+	const packageManager =
+		LOCKFILE_PACKAGE_MANAGERS[
+			/** @type {keyof typeof LOCKFILE_PACKAGE_MANAGERS} */ (lockfileInfo.targetPath)
+		]
+
+	const pnpInfo = packageManager === "yarn" && getClosestPathInfo(dirname, PNP_LOADERS)
+	if (pnpInfo) {
+		// only yarn can reach into its zip archives, so the CLI goes through `yarn prettier`
+		const yarnPath = getYarnPath(pnpInfo.rootPath)
+		return {
+			rootPath: pnpInfo.rootPath,
+			filePath: pnpInfo.filePath,
+			source: "pnp",
+			command: yarnPath ? ["node", yarnPath, "prettier"] : ["/usr/bin/env", "yarn", "prettier"],
+			pnpPath: pnpInfo.filePath
+		}
+	}
+
+	const packagePaths = ["node_modules/prettier"]
+	if (packageManager === "pnpm") packagePaths.push("node_modules/.pnpm/node_modules/prettier")
+
+	const packageInfo = getClosestPathInfo(
+		dirname,
+		packagePaths.map((packagePath) => `${packagePath}/package.json`)
+	)
+	if (!packageInfo) return
+
+	const binPath = getPrettierBinPath(nova.path.dirname(packageInfo.filePath))
+	if (binPath && nova.fs.stat(binPath))
+		return {
+			rootPath: packageInfo.rootPath,
+			filePath: binPath,
+			source: packageManager,
+			command: ["node", binPath]
+		}
+}
+
+module.exports = { getPrettierBinPath, resolvePackageManagerExecutable }
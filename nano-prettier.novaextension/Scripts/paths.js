@@ -0,0 +1,51 @@
+/** travels up workspace directories seeking a relative path
+ * @param {string} dirname - starting dirname
+ * @param {string[]} targetPaths - paths to check
+ * @param {(filePath: string) => boolean} [isMatch] - whether a path counts, by default if it exists
+ * @returns info on the closest path or `undefined`
+ */
+function getClosestPathInfo(
+	dirname,
+	targetPaths,
+	isMatch = (filePath) => !!nova.fs.stat(filePath)
+) {
+	for (let i = 0; i <= 100; i++) {
+		const rootPath = nova.path.normalize(nova.path.join(dirname, "../".repeat(i)))
+
+		for (const targetPath of targetPaths) {
+			const filePath = nova.path.join(rootPath, targetPath)
+			if (nova.workspace.contains(filePath) && isMatch(filePath))
+				return { rootPath, targetPath, filePath }
+		}
+
+		if (rootPath === "/") return // we hit top-level directory
+	}
+}
+
+/** @param {string} filePath */
+function isExecutable(filePath) {
+	return !!nova.fs.stat(filePath)?.isFile() && nova.fs.access(filePath, nova.fs.X_OK)
+}
+
+/** @param {string} filePath @returns {string | undefined} contents, `undefined` if unreadable */
+function readText(filePath) {
+	try {
+		const file = /** @type {FileTextMode} */ (nova.fs.open(filePath))
+		const contents = file.read()
+		file.close()
+		return contents ?? undefined
+	} catch {
+		return undefined
+	}
+}
+
+/** @param {string} filePath @returns {any} parsed contents, `undefined` if missing or invalid */
+function readJSON(filePath) {
+	try {
+		return JSON.parse(readText(filePath) ?? "")
+	} catch {
+		return undefined
+	}
+}
+
+module.exports = { getClosestPathInfo, isExecutable, readText, readJSON }
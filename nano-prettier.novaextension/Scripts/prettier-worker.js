@@ -0,0 +1,166 @@
+// Runs under node (not Nova): a long-lived prettier for one project root.
+//
+//   node prettier-worker.js <prettier executable> [pnp loader]
+//
+// Takes one JSON request per stdin line:
+//   { id, text, filepath, config?, ignorePath?, plugins?, rangeStart?, rangeEnd?, parser?, cursorOffset?,
+//     endOfLine? }
+// or, to describe how a file would be formatted,
+//   { id, describe: true, filepath, config?, ignorePath?, plugins? }
+// and answers with one JSON line on stdout:
+//   { id, formatted, cursorOffset? }, { id, ignored: true }, { id, setup } or { id, error }
+// where `error` reads like the prettier CLI's stderr, minus the `[error] ` prefixes.
+// `endOfLine` only applies when the config picks none.
+//
+// Sticks to syntax node 10 understands, prettier 2 still runs there.
+
+const fs = require("fs")
+const path = require("path")
+const readline = require("readline")
+
+const executablePath = process.argv[2]
+const pnpPath = process.argv[3]
+const rootPath = process.cwd()
+
+/** loads the prettier module behind an executable */
+function loadPrettier() {
+	if (pnpPath) {
+		// Yarn Plug'n'Play: no node_modules, the loader resolves packages from the project root
+		require(pnpPath).setup()
+		return require(require.resolve("prettier", { paths: [rootPath] }))
+	}
+
+	try {
+		// `node_modules/.bin/prettier` shims sit next to the package
+		return require(require.resolve("prettier", { paths: [path.dirname(executablePath)] }))
+	} catch {}
+
+	// a global bin links into the package, find its root
+	let dirname = path.dirname(fs.realpathSync(executablePath))
+	while (dirname !== path.dirname(dirname)) {
+		const packageJsonPath = path.join(dirname, "package.json")
+		if (
+			fs.existsSync(packageJsonPath) &&
+			JSON.parse(fs.readFileSync(packageJsonPath, "utf8")).name === "prettier"
+		)
+			return require(dirname)
+		dirname = path.dirname(dirname)
+	}
+
+	throw new Error("no prettier package found")
+}
+
+let prettier
+try {
+	prettier = loadPrettier()
+} catch (error) {
+	process.stderr.write(`Unable to load prettier for ${executablePath}: ${error.message}\n`)
+	process.exit(2)
+}
+
+/** whether a package is installed in a `node_modules` at or above the project root
+ * @param {string} plugin - package name, maybe followed by a path inside it
+ */
+function isInstalled(plugin) {
+	const segments = plugin.split("/")
+	const packageName = segments.slice(0, plugin.startsWith("@") ? 2 : 1).join("/")
+
+	let dirname = rootPath
+	for (;;) {
+		if (fs.existsSync(path.join(dirname, "node_modules", packageName, "package.json"))) return true
+		if (dirname === path.dirname(dirname)) return false
+		dirname = path.dirname(dirname)
+	}
+}
+
+/** finds the first plugin prettier would fail to load by name, paths and plugin objects are left
+ * to prettier, as is everything under Plug'n'Play where there's no node_modules to look in
+ * @param {unknown[]} plugins
+ */
+function findMissingPlugin(plugins) {
+	if (pnpPath) return
+	for (const plugin of plugins)
+		if (
+			typeof plugin === "string" &&
+			!plugin.startsWith(".") &&
+			!path.isAbsolute(plugin) &&
+			!isInstalled(plugin)
+		)
+			return plugin
+}
+
+/** @param {unknown} response */
+function respond(response) {
+	process.stdout.write(JSON.stringify(response) + "\n")
+}
+
+/** mirrors how the CLI reports a failed `--stdin-filepath` run
+ * @param {Error} error
+ * @param {string} filepath
+ */
+function toCliMessage(error, filepath) {
+	if (error.name === "UndefinedParserError") return error.message
+	return `${path.relative(rootPath, filepath)}: ${error.name}: ${error.message}`
+}
+
+readline.createInterface({ input: process.stdin }).on("line", async (line) => {
+	const { id, describe, text, filepath, config, ignorePath, plugins, endOfLine, ...options } =
+		JSON.parse(line)
+
+	try {
+		// configs may change between saves
+		prettier.clearConfigCache()
+
+		const resolvedConfig = await prettier.resolveConfig(filepath, { config, editorconfig: true })
+		// the Plugins setting adds to the config's plugins, like the CLI's `--plugin`
+		const allPlugins = ((resolvedConfig && resolvedConfig.plugins) || []).concat(plugins || [])
+		const missingPlugin = findMissingPlugin(allPlugins)
+		if (missingPlugin)
+			throw new Error(`Cannot find Prettier plugin "${missingPlugin}" from ${rootPath}`)
+
+		// plugins bring languages, and with them the parsers for their file extensions
+		const { ignored, inferredParser } = await prettier.getFileInfo(filepath, {
+			// prettier 2 takes a single ignore file
+			ignorePath:
+				prettier.version.startsWith("2.") ?
+					ignorePath && ignorePath[ignorePath.length - 1]
+				:	ignorePath,
+			plugins: allPlugins,
+			// lets `overrides` take part in inferring the parser
+			resolveConfig: true
+		})
+		if (ignored && !describe) return respond({ id, ignored: true })
+
+		if (describe) {
+			// prettier's defaults, with the config on top, leaving out per-run options like `cursorOffset`
+			const { options: supportedOptions } = await prettier.getSupportInfo()
+			const defaults = {}
+			for (const option of supportedOptions)
+				if (option.category !== "Special" && option.default !== undefined)
+					defaults[option.name] = option.default
+
+			return respond({
+				id,
+				setup: {
+					version: prettier.version,
+					ignored,
+					inferredParser,
+					plugins: allPlugins.map(String),
+					options: { ...defaults, ...resolvedConfig, plugins: allPlugins }
+				}
+			})
+		}
+
+		const formatOptions = { ...resolvedConfig, ...options, filepath, plugins: allPlugins }
+		// the document's line ending, unless the config picks one
+		if (endOfLine && !(resolvedConfig && resolvedConfig.endOfLine))
+			formatOptions.endOfLine = endOfLine
+		if (options.cursorOffset === undefined)
+			return respond({ id, formatted: await prettier.format(text, formatOptions) })
+
+		const { formatted, cursorOffset } = await prettier.formatWithCursor(text, formatOptions)
+		respond({ id, formatted, cursorOffset: cursorOffset >= 0 ? cursorOffset : undefined })
+	} catch (error) {
+		respond({ id, error: toCliMessage(error, filepath) })
+	}
+})
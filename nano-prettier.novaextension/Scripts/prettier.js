@@ -0,0 +1,481 @@
+const { describeWithWorker, formatWithWorker, WorkerUnavailableError } = require("./worker-pool")
+const { getConfig } = require("./config")
+const { matchesGlobs } = require("./glob")
+const { getClosestPathInfo, isExecutable, readJSON, readText } = require("./paths")
+const { getPrettierBinPath, resolvePackageManagerExecutable } = require("./package-managers")
+const { resolveNode } = require("./node-runtime")
+const { CancelledError, TimeoutError } = require("./cancellation")
+const { runAsync } = require("./run-process")
+
+// prettier's own search order, the first match in the nearest directory wins
+const DEFAULT_PRETTIER_CONFIG_FILENAMES = [
+	"package.json",
+	"package.yaml",
+	".prettierrc",
+	".prettierrc.json",
+	".prettierrc.yaml",
+	".prettierrc.yml",
+	".prettierrc.json5",
+	".prettierrc.js",
+	".prettierrc.ts",
+	".prettierrc.mjs",
+	".prettierrc.mts",
+	".prettierrc.cjs",
+	".prettierrc.cts",
+	"prettier.config.js",
+	"prettier.config.ts",
+	"prettier.config.mjs",
+	"prettier.config.mts",
+	"prettier.config.cjs",
+	"prettier.config.cts",
+	".prettierrc.toml"
+]
+// GUI apps don't inherit the shell's PATH, so also look where package managers usually link binaries
+const COMMON_BIN_PATHS = ["/opt/homebrew/bin", "/usr/local/bin", "~/.npm-global/bin", "~/.bun/bin"]
+// prettier 3 reads both by default, relative to its cwd
+const IGNORE_FILENAMES = [".gitignore", ".prettierignore"]
+
+/** thrown for files prettier (or the `ignore_globs` setting) says to leave alone */
+class FileIgnoredError extends Error {
+	/** @param {string} filePath */
+	constructor(filePath) {
+		super(`${nova.path.basename(filePath)} is ignored by Prettier`)
+		this.name = "FileIgnoredError"
+	}
+}
+
+/** thrown when there's no prettier to format a file with */
+class PrettierNotFoundError extends Error {
+	/** @param {string} filePath */
+	constructor(filePath) {
+		super(
+			`No prettier found for ${nova.path.basename(filePath)}. ` +
+				`Install it in the project, or set the Prettier Executable setting.`
+		)
+		this.name = "PrettierNotFoundError"
+	}
+}
+
+/** thrown when a prettier plugin isn't installed where prettier runs */
+class MissingPluginError extends Error {
+	/** @param {string} plugin @param {string} rootPath */
+	constructor(plugin, rootPath) {
+		super(
+			`Prettier plugin "${plugin}" isn't installed in ${rootPath}. ` +
+				`Install it there, or remove it from the prettier config or the Plugins setting.`
+		)
+		this.name = "MissingPluginError"
+		this.plugin = plugin
+	}
+}
+
+/** picks out a plugin prettier (or the worker) couldn't load from its error output
+ * @param {string} message
+ * @returns {string | undefined}
+ */
+function getMissingPlugin(message) {
+	// the worker's check, and prettier 3 loading plugins relative to a `noop.js` in its cwd
+	return (
+		message.match(/Cannot find Prettier plugin "([^"]+)"/)?.[1] ??
+		message.match(/Cannot find package '([^']+)' imported from \S*noop\.js/)?.[1]
+	)
+}
+
+/** the Plugins setting, with relative paths made absolute against the workspace
+ * @returns {string[]}
+ */
+function getExtraPlugins() {
+	const plugins = /** @type {string[] | null} */ (getConfig("plugins", "array")) ?? []
+	return plugins.map((plugin) =>
+		plugin.startsWith("./") || plugin.startsWith("../") ?
+			nova.path.normalize(nova.path.join(nova.workspace.path ?? "", plugin))
+		:	nova.path.expanduser(plugin)
+	)
+}
+
+/** @typedef {import("./run-process").RunControl} RunControl */
+
+/**
+ * @typedef {"setting" | "local" | "pnp" | "yarn" | "pnpm" | "bun" | "npm" | "path"} ExecutableSource
+ * @typedef {{
+ *   rootPath: string
+ *   filePath: string
+ *   source: ExecutableSource
+ *   command?: string[]
+ *   pnpPath?: string
+ *   node?: import("./node-runtime").NodeRuntime
+ * }} ExecutableInfo
+ *   `command` launches prettier when `filePath` can't run by itself, a leading `"node"` meaning `node`,
+ *   `pnpPath` is the Yarn Plug'n'Play loader prettier resolves through,
+ *   `node` is the node prettier runs with
+ */
+
+/** finds the prettier to run for a file, in order: the `prettier_path` setting,
+ * the closest `node_modules/.bin/prettier`, wherever the closest lockfile's package manager
+ * installed it, then one on the `PATH`
+ * @param {string} filePath
+ * @returns {ExecutableInfo | undefined}
+ */
+function resolveExecutable(filePath) {
+	const dirname = nova.path.dirname(filePath)
+
+	const localInfo = getClosestPathInfo(dirname, ["node_modules/.bin/prettier"])
+	// anything but a local install runs from the closest package
+	const rootPath =
+		getClosestPathInfo(dirname, ["package.json"])?.rootPath ?? nova.workspace.path ?? dirname
+
+	const settingPath = /** @type {string | null} */ (getConfig("prettier_path", "string"))
+	if (settingPath) {
+		const expandedPath = nova.path.expanduser(settingPath)
+		const executablePath =
+			nova.path.isAbsolute(expandedPath) ?
+				expandedPath
+			:	nova.path.join(nova.workspace.path ?? dirname, expandedPath)
+		if (isExecutable(executablePath))
+			return {
+				rootPath: localInfo?.rootPath ?? rootPath,
+				filePath: executablePath,
+				source: "setting"
+			}
+		console.warn(`prettier_path ${executablePath} is not an executable, ignoring it`)
+	}
+
+	if (localInfo) {
+		// run prettier's own script rather than the `.bin` shim, so the shim's `env node` doesn't matter
+		const binPath = getPrettierBinPath(nova.path.join(localInfo.rootPath, "node_modules/prettier"))
+		return {
+			rootPath: localInfo.rootPath,
+			filePath: localInfo.filePath,
+			source: "local",
+			command: binPath && nova.fs.stat(binPath) ? ["node", binPath] : undefined
+		}
+	}
+
+	const packageManagerInfo = resolvePackageManagerExecutable(dirname)
+	if (packageManagerInfo) return packageManagerInfo
+
+	const binPaths = [...(nova.environment.PATH ?? "").split(":"), ...COMMON_BIN_PATHS]
+	for (const binPath of binPaths) {
+		if (!binPath) continue
+		const executablePath = nova.path.join(nova.path.expanduser(binPath), "prettier")
+		if (isExecutable(executablePath)) return { rootPath, filePath: executablePath, source: "path" }
+	}
+}
+
+/** @type {Set<string>} prettiers the user was already told about */
+const announcedExecutables = new Set()
+
+/** tells the user, once per prettier, when it isn't one the project installed
+ * @param {ExecutableInfo} executableInfo
+ */
+function announceExecutable({ filePath, source }) {
+	if ((source !== "setting" && source !== "path") || announcedExecutables.has(filePath)) return
+	announcedExecutables.add(filePath)
+
+	const notification = new NotificationRequest()
+	notification.title = "Prettier"
+	notification.body =
+		source === "setting" ?
+			`Formatting with ${filePath}, from the Prettier Path setting.`
+		:	`The project has no prettier, formatting with ${filePath} from the PATH.`
+	nova.notifications.add(notification)
+}
+
+/** runs the prettier CLI with `args`, the way `executableInfo` says to launch it
+ * @param {ExecutableInfo} executableInfo
+ * @param {string[]} args
+ * @param {string} [stdin]
+ * @param {RunControl} [control]
+ */
+function runPrettierCli(executableInfo, args, stdin, control) {
+	const { node } = executableInfo
+	let [command, ...commandArgs] = executableInfo.command ?? [executableInfo.filePath]
+	if (command === "node") {
+		if (!node)
+			throw new Error(
+				"Couldn't find node to run prettier with, set Node Path in the extension settings"
+			)
+		command = node.path
+	}
+
+	console.log(
+		`[${executableInfo.source}]`,
+		[command, ...commandArgs, ...args].join(" "),
+		node ? `(node: ${node.source})` : ""
+	)
+	return runAsync(
+		command,
+		{
+			args: [...commandArgs, ...args],
+			cwd: executableInfo.rootPath,
+			// shims and `yarn` find node through the PATH
+			env:
+				node ?
+					{ PATH: `${nova.path.dirname(node.path)}:${nova.environment.PATH ?? ""}` }
+				:	undefined
+		},
+		stdin,
+		control
+	)
+}
+
+/** whether a config candidate configures prettier, package files only do with a `prettier` key
+ * @param {string} filePath
+ */
+function isPrettierConfig(filePath) {
+	if (!nova.fs.stat(filePath)?.isFile()) return false
+
+	switch (nova.path.basename(filePath)) {
+		case "package.json":
+			return readJSON(filePath)?.prettier !== undefined
+		case "package.yaml":
+			return /^prettier\s*:/m.test(readText(filePath) ?? "")
+		default:
+			return true
+	}
+}
+
+/** finds the closest prettier config for a file, searching `config_file_names` ahead of the defaults
+ * @param {string} filePath
+ * @returns {string | undefined}
+ */
+function getConfigPath(filePath) {
+	const configFilenames = [
+		...(nova.config.get("config_file_names", "array") ?? []),
+		...DEFAULT_PRETTIER_CONFIG_FILENAMES
+	]
+
+	return getClosestPathInfo(nova.path.dirname(filePath), configFilenames, isPrettierConfig)
+		?.filePath
+}
+
+/** whether a project opted into prettier, with a config file or a `prettier` key in package.json
+ * @param {string} filePath
+ */
+function hasPrettierConfig(filePath) {
+	return getConfigPath(filePath) !== undefined
+}
+
+/** resolves the prettier executable, config and ignore files for a file
+ * @param {string} filePath
+ */
+function resolvePrettier(filePath) {
+	const executableInfo = resolveExecutable(filePath)
+	if (!executableInfo) return
+	announceExecutable(executableInfo)
+	executableInfo.node = resolveNode(nova.path.dirname(filePath))
+
+	// prettier finds its own config the same way, and a `--config` would stop it from cascading
+	// `overrides` and package.json keys, so only custom config file names need passing
+	const configPath =
+		nova.config.get("config_file_names", "array")?.length ? getConfigPath(filePath) : undefined
+
+	/** @type {string[]} */
+	const ignorePaths = []
+	for (const ignoreFilename of IGNORE_FILENAMES) {
+		const ignorePath = getClosestPathInfo(nova.path.dirname(filePath), [ignoreFilename])?.filePath
+		if (ignorePath) ignorePaths.push(ignorePath)
+	}
+
+	return { executableInfo, filePath, configPath, ignorePaths }
+}
+
+/** whether the `ignore_globs` setting excludes a file
+ * @param {string} filePath
+ */
+function isIgnoredByGlobs(filePath) {
+	const globs = /** @type {string[] | null} */ (getConfig("ignore_globs", "array"))
+	return !!globs?.length && matchesGlobs(nova.workspace.relativizePath(filePath), globs)
+}
+
+/** stops runs past the `format_timeout` setting, or once `token` is cancelled
+ * @param {import("./cancellation").CancellationToken} [token]
+ * @returns {RunControl}
+ */
+function getRunControl(token) {
+	const timeoutSeconds = /** @type {number | null} */ (getConfig("format_timeout", "number")) ?? 10
+	return { timeout: timeoutSeconds > 0 ? timeoutSeconds * 1000 : undefined, token }
+}
+
+/**
+ * @param {NonNullable<ReturnType<typeof resolvePrettier>>} resolved
+ * @param {string} text - text piped to prettier
+ * @param {{
+ *   rangeStart?: number
+ *   rangeEnd?: number
+ *   parser?: string
+ *   cursorOffset?: number
+ *   endOfLine?: "lf" | "crlf" | "cr"
+ * }} [options] - `parser` overrides the one prettier infers from the path, `cursorOffset` asks where
+ *   a caret moves to, `endOfLine` is the document's line ending, kept unless the config picks one
+ * @param {import("./cancellation").CancellationToken} [token] - cancels the run
+ * @returns {Promise<{ formatted: string; cursorOffset?: number }>}
+ * @throws {FileIgnoredError} when the file is ignored
+ * @throws {TimeoutError} when prettier runs past the `format_timeout` setting
+ * @throws {CancelledError} when `token` is cancelled first
+ */
+async function runPrettier(
+	{ executableInfo, filePath, configPath, ignorePaths },
+	text,
+	options = {},
+	token
+) {
+	if (isIgnoredByGlobs(filePath)) throw new FileIgnoredError(filePath)
+
+	const plugins = getExtraPlugins()
+	const control = getRunControl(token)
+
+	// the worker resolves the config itself and lets it win
+	if (nova.config.get("persistent_worker", "boolean") !== false) {
+		console.log(
+			`[${executableInfo.source}]`,
+			executableInfo.filePath,
+			"(worker)",
+			filePath,
+			executableInfo.node ? `(node: ${executableInfo.node.source})` : ""
+		)
+		try {
+			const result = await formatWithWorker(
+				executableInfo,
+				{
+					text,
+					filepath: filePath,
+					config: configPath,
+					ignorePath: ignorePaths,
+					plugins,
+					...options
+				},
+				control
+			)
+			if (result === null) throw new FileIgnoredError(filePath)
+			return result
+		} catch (error) {
+			const missingPlugin = error instanceof Error && getMissingPlugin(error.message)
+			if (missingPlugin) throw new MissingPluginError(missingPlugin, executableInfo.rootPath)
+			if (!(error instanceof WorkerUnavailableError)) throw error
+			console.warn(`${error.message}, falling back to the prettier CLI`)
+		}
+	}
+
+	const args = ["--stdin-filepath", filePath]
+	if (configPath) args.push("--config", configPath)
+	for (const ignorePath of ignorePaths) args.push("--ignore-path", ignorePath)
+	for (const plugin of plugins) args.push("--plugin", plugin)
+	if (options.parser) args.push("--parser", options.parser)
+	if (options.rangeStart !== undefined) args.push("--range-start", String(options.rangeStart))
+	if (options.rangeEnd !== undefined) args.push("--range-end", String(options.rangeEnd))
+	if (options.cursorOffset !== undefined) args.push("--cursor-offset", String(options.cursorOffset))
+	// the config's line ending wins, like the worker lets it, whether it comes from the prettier
+	// config, one of its overrides, or the .editorconfig section for the file
+	if (options.endOfLine)
+		args.push("--end-of-line", options.endOfLine, "--config-precedence", "file-override")
+
+	const prettier = await runPrettierCli(executableInfo, args, text, control)
+	const missingPlugin = prettier.code !== 0 && getMissingPlugin(prettier.stderr)
+	if (missingPlugin) throw new MissingPluginError(missingPlugin, executableInfo.rootPath)
+	if (prettier.code !== 0) throw new Error(prettier.stderr)
+	// older versions print nothing for ignored files, never let that blank the document
+	if (!prettier.stdout && text.trim()) throw new FileIgnoredError(filePath)
+
+	if (options.cursorOffset === undefined) return { formatted: prettier.stdout }
+	// the new offset is the last line on stderr
+	const cursorOffset = Number(prettier.stderr.trim().split("\n").pop())
+	return {
+		formatted: prettier.stdout,
+		cursorOffset: Number.isInteger(cursorOffset) && cursorOffset >= 0 ? cursorOffset : undefined
+	}
+}
+
+/** asks the CLI what the worker would tell about a file, minus the options, which the CLI can't show
+ * @param {NonNullable<ReturnType<typeof resolvePrettier>>} resolved
+ * @param {RunControl} control
+ * @returns {Promise<import("./worker-pool").PrettierSetup>}
+ */
+async function describeWithCli({ executableInfo, filePath, configPath, ignorePaths }, control) {
+	const version = await runPrettierCli(executableInfo, ["--version"], undefined, control)
+	if (version.code !== 0) throw new Error(version.stderr)
+
+	const plugins = getExtraPlugins()
+	const args = ["--file-info", filePath]
+	if (configPath) args.push("--config", configPath)
+	for (const ignorePath of ignorePaths) args.push("--ignore-path", ignorePath)
+	for (const plugin of plugins) args.push("--plugin", plugin)
+	const fileInfo = await runPrettierCli(executableInfo, args, undefined, control)
+	if (fileInfo.code !== 0) throw new Error(fileInfo.stderr)
+
+	const { ignored, inferredParser } = JSON.parse(fileInfo.stdout)
+	return { version: version.stdout.trim(), ignored, inferredParser, plugins, options: null }
+}
+
+/** asks the prettier `runPrettier` would use how it sees a file: the config it finds by itself,
+ * its version, parser and plugins, and, through the worker, its resolved options
+ * @param {NonNullable<ReturnType<typeof resolvePrettier>>} resolved
+ * @param {import("./cancellation").CancellationToken} [token] - cancels the runs
+ * @throws {TimeoutError} when prettier runs past the `format_timeout` setting
+ * @throws {CancelledError} when `token` is cancelled first
+ */
+async function describePrettier(resolved, token) {
+	const { executableInfo, filePath, configPath, ignorePaths } = resolved
+	const control = getRunControl(token)
+	const findConfig = await runPrettierCli(
+		executableInfo,
+		["--find-config-path", filePath],
+		undefined,
+		control
+	)
+	const foundConfigPath = findConfig.stdout.trim()
+
+	/** @type {import("./worker-pool").PrettierSetup | undefined} */
+	let setup
+	/** @type {string | undefined} */
+	let setupError
+	try {
+		if (nova.config.get("persistent_worker", "boolean") !== false)
+			try {
+				setup = await describeWithWorker(
+					executableInfo,
+					{
+						filepath: filePath,
+						config: configPath,
+						ignorePath: ignorePaths,
+						plugins: getExtraPlugins()
+					},
+					control
+				)
+			} catch (error) {
+				if (!(error instanceof WorkerUnavailableError)) throw error
+				console.warn(`${error.message}, falling back to the prettier CLI`)
+			}
+		setup ??= await describeWithCli(resolved, control)
+	} catch (error) {
+		if (error instanceof TimeoutError || error instanceof CancelledError) throw error
+		setupError = error instanceof Error ? error.message : String(error)
+	}
+
+	return {
+		// printed relative to the directory prettier ran in
+		foundConfigPath:
+			!foundConfigPath || nova.path.isAbsolute(foundConfigPath) ?
+				foundConfigPath || undefined
+			:	nova.path.normalize(nova.path.join(executableInfo.rootPath, foundConfigPath)),
+		ignoredByGlobs: isIgnoredByGlobs(filePath),
+		setup,
+		setupError
+	}
+}
+
+module.exports = {
+	DEFAULT_PRETTIER_CONFIG_FILENAMES,
+	FileIgnoredError,
+	PrettierNotFoundError,
+	MissingPluginError,
+	getExtraPlugins,
+	resolveExecutable,
+	runPrettierCli,
+	getConfigPath,
+	hasPrettierConfig,
+	resolvePrettier,
+	isIgnoredByGlobs,
+	runPrettier,
+	describePrettier
+}
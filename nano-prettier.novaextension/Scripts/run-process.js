@@ -0,0 +1,51 @@
+const { CancelledError, TimeoutError } = require("./cancellation")
+
+/** @typedef {{ timeout?: number; token?: import("./cancellation").CancellationToken }} RunControl */
+
+/** runs a process to its exit, collecting what it prints
+ * @param {string} executablePath
+ * @param {ConstructorParameters<typeof Process>[1]} options
+ * @param {string} [stdin] - Optional text to write to stdin
+ * @param {RunControl} [control] - stops the process after `timeout` milliseconds, or once `token` is cancelled
+ * @returns {Promise<{ code: number; stdout: string; stderr: string }>}
+ */
+function runAsync(executablePath, options, stdin, control = {}) {
+	return new Promise((resolve, reject) => {
+		const process = new Process(executablePath, options)
+
+		let stdout = ""
+		let stderr = ""
+		let exited = false
+		/** @type {Error | undefined} */
+		let stoppedWith
+
+		/** @param {Error} error */
+		const stop = (error) => {
+			if (exited || stoppedWith) return
+			stoppedWith = error
+			process.terminate()
+		}
+
+		process.onStdout((line) => (stdout += line))
+		process.onStderr((line) => (stderr += line))
+		process.onDidExit((code) => {
+			exited = true
+			clearTimeout(timer)
+			if (stoppedWith) reject(stoppedWith)
+			else resolve({ code, stdout, stderr })
+		})
+
+		process.start()
+
+		const { timeout, token } = control
+		const timer = timeout ? setTimeout(() => stop(new TimeoutError(timeout)), timeout) : undefined
+		token?.onCancel(() => stop(new CancelledError()))
+
+		if (!stdin) return
+		const writer = process.stdin.getWriter()
+		writer.write(stdin)
+		writer.close()
+	})
+}
+
+module.exports = { runAsync }
@@ -0,0 +1,64 @@
+const { describePrettier, resolvePrettier } = require("./prettier")
+
+/** @param {string | undefined} filePath */
+function displayPath(filePath) {
+	return filePath ? `\`${nova.workspace.relativizePath(filePath)}\`` : "none"
+}
+
+/** opens a markdown document describing the prettier that formats the editor's document,
+ * resolved exactly like `maybeFormat` resolves it
+ * @param {TextEditor} editor
+ */
+async function showPrettierSetup(editor) {
+	const filePath = editor.document.path
+	if (!filePath)
+		return nova.workspace.showWarningMessage("Save the document to see its Prettier setup.")
+
+	const resolved = resolvePrettier(filePath)
+	if (!resolved)
+		return nova.workspace.showWarningMessage(
+			`No prettier found for ${nova.path.basename(filePath)}.`
+		)
+
+	const { executableInfo, configPath, ignorePaths } = resolved
+	const { foundConfigPath, ignoredByGlobs, setup, setupError } = await describePrettier(resolved)
+
+	const lines = [
+		`# Prettier setup for ${displayPath(filePath)}`,
+		"",
+		`- Prettier: \`${executableInfo.filePath}\` (${executableInfo.source})`,
+		...(executableInfo.command ? [`- Runs as: \`${executableInfo.command.join(" ")}\``] : []),
+		`- Version: ${setup?.version ?? "unknown"}`,
+		`- Runs in: \`${executableInfo.rootPath}\``,
+		`- Node: ${executableInfo.node ? `\`${executableInfo.node.path}\` (${executableInfo.node.source})` : "not found"}`,
+		`- Config passed with --config: ${displayPath(configPath)}`,
+		`- Config prettier finds: ${displayPath(foundConfigPath)}`,
+		`- Ignore files: ${ignorePaths.length ? ignorePaths.map(displayPath).join(", ") : "none"}`,
+		`- Ignored: ${
+			ignoredByGlobs ? "yes, by the Ignore Globs setting"
+			: setup?.ignored ? "yes, by an ignore file"
+			: setup ? "no"
+			: "unknown"
+		}`,
+		`- Parser: ${setup ? (setup.inferredParser ?? "none inferred") : "unknown"}`,
+		`- Plugins: ${setup?.plugins.length ? setup.plugins.map((plugin) => `\`${plugin}\``).join(", ") : "none"}`,
+		"",
+		"## Resolved options",
+		"",
+		setupError ? `Prettier couldn't resolve them:\n\n\`\`\`\n${setupError}\n\`\`\``
+		: !setup?.options ?
+			"Only the persistent worker can show them, turn on the Persistent Worker setting to see them."
+		:	[
+				"Prettier's defaults, overridden by the config for this file.",
+				"",
+				"```json",
+				JSON.stringify(setup.options, null, "\t"),
+				"```"
+			].join("\n"),
+		""
+	]
+
+	await nova.workspace.openNewTextDocument({ content: lines.join("\n"), syntax: "markdown" })
+}
+
+module.exports = { showPrettierSetup }
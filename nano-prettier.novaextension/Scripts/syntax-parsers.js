@@ -0,0 +1,46 @@
+const { getConfig } = require("./config")
+
+/** prettier parsers for Nova's syntax identifiers */
+const DEFAULT_SYNTAX_PARSERS = {
+	javascript: "babel",
+	jsx: "babel",
+	typescript: "typescript",
+	tsx: "typescript",
+	json: "json",
+	jsonc: "json",
+	json5: "json5",
+	css: "css",
+	scss: "scss",
+	less: "less",
+	html: "html",
+	vue: "vue",
+	handlebars: "glimmer",
+	markdown: "markdown",
+	mdx: "mdx",
+	yaml: "yaml",
+	graphql: "graphql"
+}
+
+/** the `syntax_parsers` setting, `syntax=parser` entries overriding the defaults
+ * @returns {Record<string, string>}
+ */
+function getSyntaxParsers() {
+	/** @type {Record<string, string>} */
+	const syntaxParsers = { ...DEFAULT_SYNTAX_PARSERS }
+
+	const entries = /** @type {string[] | null} */ (getConfig("syntax_parsers", "array")) ?? []
+	for (const entry of entries) {
+		const [syntax, parser] = entry.split("=").map((part) => part.trim())
+		if (syntax && parser) syntaxParsers[syntax] = parser
+		else console.warn(`syntax_parsers entry "${entry}" isn't syntax=parser, ignoring it`)
+	}
+
+	return syntaxParsers
+}
+
+/** @param {string | null} syntax - a Nova syntax identifier */
+function getParserForSyntax(syntax) {
+	return syntax ? getSyntaxParsers()[syntax] : undefined
+}
+
+module.exports = { DEFAULT_SYNTAX_PARSERS, getParserForSyntax }
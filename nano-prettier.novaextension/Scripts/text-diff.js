@@ -0,0 +1,115 @@
+const diff = require("./fast-diff")
+
+const CURSOR_MARKER = String.fromCharCode(0xfffd) // Replacement character
+// seconds to spend finding a minimal diff before settling for a coarser one
+const DIFF_TIMEOUT = 1
+// Unicode's private use area, characters no font or prettier gives a meaning to
+const PRIVATE_USE_START = 0xe000
+const PRIVATE_USE_END = 0xf8ff
+
+/** picks a character neither text contains to mark selections with
+ * @param {string} original
+ * @param {string} formatted
+ * @returns {string | undefined}
+ */
+function pickCursorMarker(original, formatted) {
+	const isFree = (/** @type {string} */ marker) =>
+		!original.includes(marker) && !formatted.includes(marker)
+
+	if (isFree(CURSOR_MARKER)) return CURSOR_MARKER
+	for (let code = PRIVATE_USE_START; code <= PRIVATE_USE_END; code++) {
+		const marker = String.fromCharCode(code)
+		if (isFree(marker)) return marker
+	}
+}
+
+/** the changes from `text` to `formatted`, as `applyTextDiff` finds them
+ * @param {string} text
+ * @param {string} formatted
+ */
+function diffTexts(text, formatted) {
+	// lines first, so large documents only get a character diff where lines changed, and never
+	// for long enough to freeze the editor on a pathological reformat
+	return diff(text, formatted, undefined, false, { checklines: true, timeout: DIFF_TIMEOUT })
+}
+
+/** Apply a character-level diff between two strings with cursor tracking.
+ * @param {TextEditorEdit} edit - The Nova TextEditorEdit instance.
+ * @param {string} original - Original text.
+ * @param {string} formatted - Updated text.
+ * @param {Range[]} selectedRanges - Array of selected ranges.
+ * @returns {Range[]} - New selection ranges after formatting.
+ */
+function applyTextDiff(edit, original, formatted, selectedRanges) {
+	const marker = pickCursorMarker(original, formatted)
+	if (!marker) {
+		edit.replace(new Range(0, original.length), formatted) // Fall back to simple replacement
+		return selectedRanges
+	}
+
+	// Insert cursor markers around each selection
+	let originalWithCursors = ""
+	let lastEnd = 0
+
+	for (const selection of selectedRanges) {
+		originalWithCursors +=
+			original.slice(lastEnd, selection.start) +
+			marker +
+			original.slice(selection.start, selection.end) +
+			marker
+		lastEnd = selection.end
+	}
+	originalWithCursors += original.slice(lastEnd)
+
+	// markers are placed by the minimal diff, the edits merged afterwards would carry every marker
+	// in them to their start
+	/** @type {number[]} */
+	const markerOffsets = []
+	/** @type {Array<[number, string]>} */
+	const diffs = []
+	let offset = 0
+
+	for (const [operation, str] of diffTexts(originalWithCursors, formatted)) {
+		let text = str
+		if (operation === diff.DELETE) {
+			// Check if cursors are in the deleted text
+			const pieces = str.split(marker)
+			for (let i = 1; i < pieces.length; i++) markerOffsets.push(offset)
+			text = pieces.join("")
+		} else offset += str.length
+
+		if (!text) continue
+		const previous = diffs[diffs.length - 1]
+		if (previous && previous[0] === operation) previous[1] += text
+		else diffs.push([operation, text])
+	}
+
+	// fewer, larger edits: an edit costs more than re-typing a few unchanged characters
+	diff.cleanupEfficiency(diffs)
+	// Add an extra empty edit so any trailing delete is actually run
+	diffs.push([diff.EQUAL, ""])
+
+	offset = 0
+	let toRemove = 0
+	for (const [operation, str] of diffs) {
+		if (operation === diff.DELETE) {
+			toRemove += str.length
+			continue
+		}
+
+		if (operation === diff.EQUAL && toRemove) edit.replace(new Range(offset, offset + toRemove), "")
+		else if (operation === diff.INSERT) edit.replace(new Range(offset, offset + toRemove), str)
+
+		toRemove = 0
+		offset += str.length
+	}
+
+	// Convert marker pairs to Range objects, handling incomplete selections
+	/** @type {Range[]} */
+	const selections = []
+	for (let i = 0; i < markerOffsets.length; i += 2)
+		selections.push(new Range(markerOffsets[i], markerOffsets[i + 1] ?? markerOffsets[i]))
+	return selections
+}
+
+module.exports = { DIFF_TIMEOUT, applyTextDiff, diffTexts }
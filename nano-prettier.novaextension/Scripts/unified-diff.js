@@ -0,0 +1,149 @@
+const diff = require("./fast-diff")
+
+// unchanged lines shown around each change
+const CONTEXT_LINES = 3
+
+/**
+ * @typedef {{ oldStart: number; oldEnd: number; newStart: number; newEnd: number }} LineChange
+ *   a run of changed lines, end exclusive
+ */
+
+/** @param {string} text @returns {string[]} lines without their `\n`, none after a trailing one */
+function splitLines(text) {
+	if (!text) return []
+	const lines = text.split("\n")
+	if (text.endsWith("\n")) lines.pop()
+	return lines
+}
+
+/** @param {string} text @param {number} offset */
+function isLineStart(text, offset) {
+	return offset === 0 || text[offset - 1] === "\n"
+}
+
+/** turns fast-diff's character changes into the runs of whole lines they touch
+ * @param {Array<[number, string]>} diffs
+ * @param {string} original
+ * @param {string} formatted
+ * @returns {LineChange[]}
+ */
+function toLineChanges(diffs, original, formatted) {
+	/** @type {LineChange[]} */
+	const changes = []
+	let oldOffset = 0
+	let newOffset = 0
+	let oldLine = 0
+	let newLine = 0
+	/** @type {{ oldLine: number; newLine: number } | undefined} */
+	let start
+
+	const closeChange = () => {
+		if (!start) return
+		// a change ending where lines start on both sides leaves the line after it alone
+		const endsAtLineStart = isLineStart(original, oldOffset) && isLineStart(formatted, newOffset)
+		const change = {
+			oldStart: start.oldLine,
+			oldEnd: endsAtLineStart ? oldLine : oldLine + 1,
+			newStart: start.newLine,
+			newEnd: endsAtLineStart ? newLine : newLine + 1
+		}
+		start = undefined
+
+		// changes sharing or next to a line are one change, its removed lines ahead of the added ones
+		const previous = changes[changes.length - 1]
+		if (previous && previous.oldEnd >= change.oldStart) {
+			previous.oldEnd = change.oldEnd
+			previous.newEnd = change.newEnd
+		} else changes.push(change)
+	}
+
+	for (const [operation, str] of diffs) {
+		if (operation === diff.EQUAL) closeChange()
+		else if (!start) start = { oldLine, newLine }
+
+		const lineBreaks = str.split("\n").length - 1
+		if (operation !== diff.INSERT) {
+			oldOffset += str.length
+			oldLine += lineBreaks
+		}
+		if (operation !== diff.DELETE) {
+			newOffset += str.length
+			newLine += lineBreaks
+		}
+	}
+	closeChange()
+
+	const oldLineCount = splitLines(original).length
+	const newLineCount = splitLines(formatted).length
+	for (const change of changes) {
+		change.oldEnd = Math.min(change.oldEnd, oldLineCount)
+		change.newEnd = Math.min(change.newEnd, newLineCount)
+	}
+	return changes
+}
+
+/** @param {number} start @param {number} count */
+function hunkRange(start, count) {
+	return `${count === 0 ? start : start + 1},${count}`
+}
+
+/** renders fast-diff's output as a unified diff, the way `git diff` shows it
+ * @param {Array<[number, string]>} diffs - from diffing `original` against `formatted`
+ * @param {string} original
+ * @param {string} formatted
+ * @param {string} name - file name for the `---` and `+++` headers
+ * @returns {string} empty when nothing changed
+ */
+function toUnifiedDiff(diffs, original, formatted, name) {
+	const changes = toLineChanges(diffs, original, formatted)
+	if (!changes.length) return ""
+
+	const oldLines = splitLines(original)
+	const newLines = splitLines(formatted)
+	const oldMissesNewline = !!original && !original.endsWith("\n")
+	const newMissesNewline = !!formatted && !formatted.endsWith("\n")
+
+	/** @param {string} prefix @param {string[]} lines @param {number} index @param {boolean} missesNewline */
+	const line = (prefix, lines, index, missesNewline) =>
+		prefix +
+		lines[index] +
+		(missesNewline && index === lines.length - 1 ? "\n\\ No newline at end of file" : "")
+
+	const output = [`--- a/${name}`, `+++ b/${name}`]
+	for (let i = 0; i < changes.length; ) {
+		// changes with little enough between them share a hunk, and its context
+		let last = i
+		while (
+			last + 1 < changes.length &&
+			changes[last + 1].oldStart - changes[last].oldEnd <= CONTEXT_LINES * 2
+		)
+			last++
+
+		const first = changes[i]
+		const before = Math.min(CONTEXT_LINES, first.oldStart)
+		const after = Math.min(CONTEXT_LINES, oldLines.length - changes[last].oldEnd)
+		const oldStart = first.oldStart - before
+		const newStart = first.newStart - before
+		const oldEnd = changes[last].oldEnd + after
+		const newEnd = changes[last].newEnd + after
+
+		output.push(
+			`@@ -${hunkRange(oldStart, oldEnd - oldStart)} +${hunkRange(newStart, newEnd - newStart)} @@`
+		)
+		let oldLine = oldStart
+		for (const change of changes.slice(i, last + 1)) {
+			for (; oldLine < change.oldStart; oldLine++)
+				output.push(line(" ", oldLines, oldLine, oldMissesNewline))
+			for (; oldLine < change.oldEnd; oldLine++)
+				output.push(line("-", oldLines, oldLine, oldMissesNewline))
+			for (let newLine = change.newStart; newLine < change.newEnd; newLine++)
+				output.push(line("+", newLines, newLine, newMissesNewline))
+		}
+		for (; oldLine < oldEnd; oldLine++) output.push(line(" ", oldLines, oldLine, oldMissesNewline))
+
+		i = last + 1
+	}
+	return output.join("\n") + "\n"
+}
+
+module.exports = { toUnifiedDiff }
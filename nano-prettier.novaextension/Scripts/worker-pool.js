@@ -0,0 +1,243 @@
+const { CancelledError, TimeoutError } = require("./cancellation")
+
+const IDLE_TIMEOUT = 5 * 60 * 1000
+const MAX_CRASHES = 3
+// characters of a worker's stderr kept for when it exits
+const STDERR_TAIL = 4000
+
+/** thrown when a worker can't answer, callers should fall back to the CLI */
+class WorkerUnavailableError extends Error {
+	/** @param {string} message */
+	constructor(message) {
+		super(message)
+		this.name = "WorkerUnavailableError"
+	}
+}
+
+/**
+ * @typedef {{
+ *   text: string
+ *   filepath: string
+ *   config?: string
+ *   ignorePath?: string[]
+ *   plugins?: string[]
+ *   rangeStart?: number
+ *   rangeEnd?: number
+ *   parser?: string
+ *   cursorOffset?: number
+ *   endOfLine?: string
+ * }} FormatRequest
+ * @typedef {{ filepath: string; config?: string; ignorePath?: string[]; plugins?: string[] }} DescribeRequest
+ * @typedef {{
+ *   version: string
+ *   ignored: boolean
+ *   inferredParser: string | null
+ *   plugins: string[]
+ *   options: Record<string, unknown> | null
+ * }} PrettierSetup
+ * @typedef {{
+ *   id: number
+ *   formatted?: string
+ *   cursorOffset?: number
+ *   ignored?: boolean
+ *   setup?: PrettierSetup
+ *   error?: string
+ * }} WorkerResponse
+ * @typedef {{ resolve: (response: WorkerResponse) => void; reject: (error: Error) => void }} PendingRequest
+ * @typedef {import("./prettier").ExecutableInfo} ExecutableInfo
+ * @typedef {{
+ *   process: Process
+ *   writer: WritableStreamDefaultWriter
+ *   pending: Map<number, PendingRequest>
+ *   idleTimer?: number
+ *   stopping: boolean
+ * }} Worker
+ */
+
+/** @type {Map<string, Worker>} keyed by `workerKey` */
+const workers = new Map()
+/** @type {Map<string, number>} consecutive crashes per `workerKey` */
+const crashes = new Map()
+let nextId = 0
+
+/** one worker per prettier `rootPath`, and per executable since a global prettier serves many roots
+ * @param {ExecutableInfo} executableInfo
+ */
+function workerKey({ rootPath, filePath, node }) {
+	return `${rootPath}\0${filePath}\0${node?.path ?? ""}`
+}
+
+/** @param {ExecutableInfo} executableInfo @returns {Worker} */
+function startWorker(executableInfo) {
+	const { rootPath, filePath, pnpPath, node } = executableInfo
+	const args = [nova.path.join(nova.extension.path, "Scripts/prettier-worker.js"), filePath]
+	if (pnpPath) args.push(pnpPath)
+
+	const process =
+		node ?
+			new Process(node.path, { args, cwd: rootPath })
+		:	new Process("/usr/bin/env", { args: ["node", ...args], cwd: rootPath })
+	const key = workerKey(executableInfo)
+
+	/** @param {string} line */
+	const handleResponse = (line) => {
+		/** @type {WorkerResponse} */
+		let response
+		try {
+			response = JSON.parse(line)
+		} catch {
+			// plugins may `console.log`, that's no reason to drop the responses after it
+			if (line.trim()) console.log(`prettier worker for ${filePath}:`, line)
+			return
+		}
+
+		const request = worker.pending.get(response.id)
+		if (!request) return
+		worker.pending.delete(response.id)
+
+		if (response.error === undefined) request.resolve(response)
+		else
+			request.reject(
+				new Error(
+					response.error
+						.split("\n")
+						.map((errorLine) => `[error] ${errorLine}`)
+						.join("\n")
+				)
+			)
+	}
+
+	let stdout = ""
+	let stderr = ""
+	process.onStdout((chunk) => {
+		// a response is a single line, but may reach us in pieces
+		const lines = (stdout + chunk).split("\n")
+		stdout = lines.pop() ?? ""
+		for (const line of lines) handleResponse(line)
+	})
+	process.onStderr((line) => (stderr = (stderr + line).slice(-STDERR_TAIL)))
+	process.onDidExit((code) => {
+		clearTimeout(worker.idleTimer)
+		if (workers.get(key) === worker) workers.delete(key)
+
+		if (!worker.stopping) {
+			crashes.set(key, (crashes.get(key) ?? 0) + 1)
+			console.warn(`prettier worker for ${filePath} exited with code ${code}`, stderr)
+		}
+
+		// the next request starts a fresh worker
+		for (const request of worker.pending.values())
+			request.reject(new WorkerUnavailableError(`prettier worker exited with code ${code}`))
+		worker.pending.clear()
+	})
+
+	// the listeners above only run once it's started, by then `worker` is set
+	process.start()
+	/** @type {Worker} */
+	const worker = {
+		process,
+		writer: process.stdin.getWriter(),
+		pending: new Map(),
+		stopping: false
+	}
+
+	return worker
+}
+
+/** @param {string} key @param {Worker} worker */
+function stopWorker(key, worker) {
+	worker.stopping = true
+	if (workers.get(key) === worker) workers.delete(key)
+	worker.process.terminate()
+}
+
+/** sends a request to the long-lived worker for a prettier executable, starting it if needed
+ * @param {ExecutableInfo} executableInfo
+ * @param {FormatRequest | (DescribeRequest & { describe: true })} request
+ * @param {import("./prettier").RunControl} [control] - a timeout restarts the worker, since something in it hangs,
+ *   cancelling only drops the result
+ * @returns {Promise<WorkerResponse>}
+ */
+function sendRequest(executableInfo, request, control = {}) {
+	const key = workerKey(executableInfo)
+	if ((crashes.get(key) ?? 0) >= MAX_CRASHES)
+		return Promise.reject(
+			new WorkerUnavailableError(`prettier worker for ${executableInfo.filePath} keeps crashing`)
+		)
+
+	let worker = workers.get(key)
+	if (!worker) {
+		try {
+			worker = startWorker(executableInfo)
+		} catch (error) {
+			return Promise.reject(new WorkerUnavailableError(String(error)))
+		}
+		workers.set(key, worker)
+	}
+
+	clearTimeout(worker.idleTimer)
+	const activeWorker = worker
+	activeWorker.idleTimer = setTimeout(() => stopWorker(key, activeWorker), IDLE_TIMEOUT)
+
+	const id = nextId++
+	return new Promise((resolve, reject) => {
+		/** @type {number | undefined} */
+		let timer
+
+		activeWorker.pending.set(id, {
+			resolve: (response) => {
+				clearTimeout(timer)
+				crashes.delete(key)
+				resolve(response)
+			},
+			reject: (error) => {
+				clearTimeout(timer)
+				reject(error)
+			}
+		})
+		activeWorker.writer.write(JSON.stringify({ id, ...request }) + "\n")
+
+		const { timeout, token } = control
+		if (timeout)
+			timer = setTimeout(() => {
+				if (!activeWorker.pending.delete(id)) return
+				reject(new TimeoutError(timeout))
+				stopWorker(key, activeWorker)
+			}, timeout)
+		token?.onCancel(() => {
+			if (!activeWorker.pending.delete(id)) return
+			clearTimeout(timer)
+			reject(new CancelledError())
+		})
+	})
+}
+
+/** formats with the worker for a prettier executable
+ * @param {ExecutableInfo} executableInfo
+ * @param {FormatRequest} request
+ * @param {import("./prettier").RunControl} [control]
+ * @returns {Promise<{ formatted: string; cursorOffset?: number } | null>} `null` when the file is ignored
+ */
+async function formatWithWorker(executableInfo, request, control) {
+	const response = await sendRequest(executableInfo, request, control)
+	if (response.ignored) return null
+	return { formatted: response.formatted ?? "", cursorOffset: response.cursorOffset }
+}
+
+/** asks the worker for a prettier executable how it would format a file
+ * @param {ExecutableInfo} executableInfo
+ * @param {DescribeRequest} request
+ * @param {import("./prettier").RunControl} [control]
+ * @returns {Promise<PrettierSetup>}
+ */
+async function describeWithWorker(executableInfo, request, control) {
+	const response = await sendRequest(executableInfo, { ...request, describe: true }, control)
+	if (!response.setup) throw new Error("prettier worker sent no setup")
+	return response.setup
+}
+
+function stopWorkers() {
+	for (const [key, worker] of workers) stopWorker(key, worker)
+}
+
+module.exports = { formatWithWorker, describeWithWorker, stopWorkers, WorkerUnavailableError }
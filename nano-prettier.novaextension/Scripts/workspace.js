@@ -0,0 +1,312 @@
+const { getExtraPlugins, runPrettierCli, resolvePrettier, isIgnoredByGlobs } = require("./prettier")
+const { CancellationToken, CancelledError } = require("./cancellation")
+
+// prettier never formats inside these, so there's no point walking them
+const IGNORED_DIRECTORIES = [".git", ".hg", ".svn", ".nova", "node_modules"]
+// keeps the argument list well under the system limit
+const BATCH_SIZE = 100
+
+const workspaceIssues = new IssueCollection("Prettier Workspace")
+const PROGRESS_NOTIFICATION_ID = "com.tomatrow.nano-prettier.progress"
+
+/** lists every file under a directory
+ * @param {string} dirname
+ * @returns {string[]}
+ */
+function listFiles(dirname) {
+	/** @type {string[]} */
+	const filePaths = []
+
+	for (const name of nova.fs.listdir(dirname)) {
+		const filePath = nova.path.join(dirname, name)
+		const stats = nova.fs.stat(filePath)
+		if (!stats || stats.isSymbolicLink()) continue
+
+		if (stats.isDirectory()) {
+			if (!IGNORED_DIRECTORIES.includes(name)) filePaths.push(...listFiles(filePath))
+		} else if (stats.isFile()) filePaths.push(filePath)
+	}
+
+	return filePaths
+}
+
+/**
+ * @typedef {NonNullable<ReturnType<typeof resolvePrettier>>} ResolvedPrettier
+ * @typedef {{ resolved: ResolvedPrettier; filePaths: string[] }} PrettierGroup
+ */
+
+/** groups files by the prettier executable, config and ignore files `maybeFormat` would use for them,
+ * leaving out files the `ignore_globs` setting excludes
+ * @param {string[]} filePaths
+ * @returns {PrettierGroup[]}
+ */
+function groupByPrettier(filePaths) {
+	/** @type {Map<string, ResolvedPrettier | undefined>} resolution only depends on the directory */
+	const resolvedByDirname = new Map()
+	/** @type {Map<string, PrettierGroup>} */
+	const groups = new Map()
+
+	for (const filePath of filePaths) {
+		if (isIgnoredByGlobs(filePath)) continue
+
+		const dirname = nova.path.dirname(filePath)
+		if (!resolvedByDirname.has(dirname)) resolvedByDirname.set(dirname, resolvePrettier(filePath))
+		const resolved = resolvedByDirname.get(dirname)
+		if (!resolved) continue
+
+		const key = [
+			resolved.executableInfo.filePath,
+			resolved.configPath ?? "",
+			...resolved.ignorePaths
+		].join("\0")
+		const group = groups.get(key)
+		if (group) group.filePaths.push(filePath)
+		else groups.set(key, { resolved, filePaths: [filePath] })
+	}
+
+	return [...groups.values()]
+}
+
+/** runs the prettier CLI over files in batches, with paths in its output made absolute
+ * @param {PrettierGroup} group
+ * @param {string[]} args - flags to pass ahead of the file paths
+ * @param {{ onBatch?: (fileCount: number) => void; token?: CancellationToken }} [hooks] - cancelling stops the batch in flight
+ * @returns {Promise<{ filePaths: string[]; unchanged: string[]; errors: Map<string, string> }>}
+ *   files prettier listed, files it reported as `(unchanged)`, and per-file errors
+ */
+async function runOverFiles({ resolved, filePaths }, args, hooks = {}) {
+	const { executableInfo, configPath, ignorePaths } = resolved
+	if (configPath) args = [...args, "--config", configPath]
+	for (const ignorePath of ignorePaths) args = [...args, "--ignore-path", ignorePath]
+	for (const plugin of getExtraPlugins()) args = [...args, "--plugin", plugin]
+
+	/** @type {string[]} */
+	const listed = []
+	/** @type {string[]} */
+	const unchanged = []
+	/** @type {Map<string, string>} */
+	const errors = new Map()
+
+	/** @param {string} filePath */
+	const toAbsolute = (filePath) =>
+		nova.path.isAbsolute(filePath) ?
+			filePath
+		:	nova.path.normalize(nova.path.join(executableInfo.rootPath, filePath))
+
+	for (let i = 0; i < filePaths.length; i += BATCH_SIZE) {
+		if (hooks.token?.cancelled) break
+
+		const batch = filePaths.slice(i, i + BATCH_SIZE)
+		let prettier
+		try {
+			prettier = await runPrettierCli(executableInfo, [...args, ...batch], undefined, {
+				token: hooks.token
+			})
+		} catch (error) {
+			if (error instanceof CancelledError) break
+			throw error
+		}
+
+		for (const line of prettier.stdout.split("\n")) {
+			// `--write` follows each path with a duration, and `(unchanged)` since prettier 3
+			const match = line.trim().match(/^(.+?)(?: \d+(?:\.\d+)?m?s)?( \(unchanged\))?$/)
+			if (!match) continue
+			if (match[2]) unchanged.push(toAbsolute(match[1]))
+			else listed.push(toAbsolute(match[1]))
+		}
+
+		let hasFileErrors = false
+		for (const line of prettier.stderr.split("\n")) {
+			const match = line.match(/^\[error\] (\S.*?): (\w*Error: .*)$/)
+			if (!match) continue
+			errors.set(toAbsolute(match[1]), match[2])
+			hasFileErrors = true
+		}
+		// an error that isn't about a single file, like an invalid config
+		if (prettier.code === 2 && !hasFileErrors) throw new Error(prettier.stderr)
+
+		hooks.onBatch?.(batch.length)
+	}
+
+	return { filePaths: listed, unchanged, errors }
+}
+
+/** @param {string} filePath */
+function fileURI(filePath) {
+	// segment by segment, `encodeURI` would leave a `#` or `?` in a name to end the path
+	return "file://" + filePath.split("/").map(encodeURIComponent).join("/")
+}
+
+/** checks every file in the workspace with `--list-different`, listing unformatted ones as issues
+ * @param {string} dirname
+ */
+async function checkFormatting(dirname) {
+	workspaceIssues.clear()
+
+	let unformattedCount = 0
+	let errorCount = 0
+
+	for (const group of groupByPrettier(listFiles(dirname))) {
+		const { filePaths, errors } = await runOverFiles(group, [
+			"--list-different",
+			"--ignore-unknown"
+		])
+
+		for (const filePath of filePaths) {
+			const issue = new Issue()
+			issue.source = "Prettier"
+			issue.severity = IssueSeverity.Warning
+			issue.message = "File is not formatted with Prettier"
+			issue.line = 1
+			workspaceIssues.set(fileURI(filePath), [issue])
+		}
+		unformattedCount += filePaths.length
+
+		for (const [filePath, message] of errors) {
+			const issue = new Issue()
+			issue.source = "Prettier"
+			issue.severity = IssueSeverity.Error
+			issue.message = message
+			issue.line = 1
+			workspaceIssues.set(fileURI(filePath), [issue])
+		}
+		errorCount += errors.size
+	}
+
+	if (!unformattedCount && !errorCount)
+		nova.workspace.showInformativeMessage("All files are formatted.")
+	else
+		nova.workspace.showWarningMessage(
+			[
+				unformattedCount && `${unformattedCount} file(s) are not formatted.`,
+				errorCount && `${errorCount} file(s) could not be checked.`,
+				"See the Issues sidebar."
+			]
+				.filter(Boolean)
+				.join(" ")
+		)
+}
+
+/** shows (or replaces) the progress notification
+ * @param {string} body
+ * @param {() => void} onCancel
+ */
+function showProgress(body, onCancel) {
+	nova.notifications.cancel(PROGRESS_NOTIFICATION_ID)
+
+	const notification = new NotificationRequest(PROGRESS_NOTIFICATION_ID)
+	notification.title = "Prettier"
+	notification.body = body
+	notification.actions = ["Cancel"]
+
+	nova.notifications.add(notification).then((response) => {
+		if (response.actionIdx === 0) onCancel()
+	})
+}
+
+/** formats every file under a directory with `--write`
+ *
+ * Files open with unsaved changes are formatted in their editor instead, so disk and editor never conflict.
+ * @param {string} dirname
+ * @param {(editor: TextEditor) => Promise<string | undefined>} formatEditor - formats an editor in place, resolving to the new text if it changed
+ */
+async function formatAllFiles(dirname, formatEditor) {
+	workspaceIssues.clear()
+
+	const filePaths = listFiles(dirname)
+	const groups = groupByPrettier(filePaths)
+	const total = groups.reduce((count, group) => count + group.filePaths.length, 0)
+
+	const token = new CancellationToken()
+	let done = 0
+	let changed = 0
+	let unchanged = 0
+	let failed = 0
+
+	const cancel = () => token.cancel()
+	showProgress(`Formatting ${total} files…`, cancel)
+
+	/** @type {unknown} an error that stopped the run, like an invalid config */
+	let failure
+	try {
+		for (const group of groups) {
+			/** @type {string[]} */
+			const onDisk = []
+			for (const filePath of group.filePaths) {
+				const dirtyEditor = nova.workspace.textEditors.find(
+					(editor) => editor.document.path === filePath && editor.document.isDirty
+				)
+				if (!dirtyEditor) {
+					onDisk.push(filePath)
+					continue
+				}
+
+				try {
+					if (await formatEditor(dirtyEditor)) changed++
+					else unchanged++
+				} catch (error) {
+					failed++
+					console.warn(filePath, error)
+				}
+				done++
+			}
+
+			const result = await runOverFiles(
+				{ ...group, filePaths: onDisk },
+				["--write", "--ignore-unknown"],
+				{
+					token,
+					onBatch: (fileCount) => {
+						done += fileCount
+						if (!token.cancelled) showProgress(`Formatted ${done} of ${total} files…`, cancel)
+					}
+				}
+			)
+
+			changed += result.filePaths.length
+			unchanged += result.unchanged.length
+			failed += result.errors.size
+			for (const [filePath, message] of result.errors) {
+				const issue = new Issue()
+				issue.source = "Prettier"
+				issue.severity = IssueSeverity.Error
+				issue.message = message
+				issue.line = 1
+				workspaceIssues.set(fileURI(filePath), [issue])
+			}
+
+			if (token.cancelled) break
+		}
+	} catch (error) {
+		failure = error
+	} finally {
+		nova.notifications.cancel(PROGRESS_NOTIFICATION_ID)
+	}
+
+	// anything prettier didn't report on was skipped: no installation, ignored, or no parser for it
+	const isPartial = token.cancelled || failure !== undefined
+	const ignored = isPartial ? 0 : filePaths.length - changed - unchanged - failed
+	nova.workspace.showInformativeMessage(
+		[
+			failure !== undefined ? `Stopped after ${done} of ${total} files.`
+			: token.cancelled ? `Cancelled after ${done} of ${total} files.`
+			: "Formatting finished.",
+			`${changed} changed, ${unchanged} unchanged, ${failed} failed` +
+				(isPartial ? "." : `, ${ignored} ignored.`)
+		].join(" ")
+	)
+	if (failure !== undefined) throw failure
+}
+
+function disposeWorkspaceIssues() {
+	workspaceIssues.dispose()
+}
+
+module.exports = {
+	listFiles,
+	groupByPrettier,
+	runOverFiles,
+	checkFormatting,
+	formatAllFiles,
+	disposeWorkspaceIssues
+}
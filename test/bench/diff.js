@@ -0,0 +1,81 @@
+// Times the diff `applyTextDiff` runs on save, character by character, lines first, and the way
+// the extension runs it: lines first, giving up after a second, then cleaned up for efficiency.
+//
+//   node test/bench/diff.js [lines]
+//
+// Builds a document of about `lines` lines from test/fixtures/unformatted.js, formats it with the
+// repo's prettier, then diffs a full reformat, a reindent that changes every line but keeps them
+// in place, and a save that only touched a few lines.
+
+const fs = require("node:fs")
+const path = require("node:path")
+const prettier = require("prettier")
+const diff = require("../../nano-prettier.novaextension/Scripts/fast-diff")
+
+const FIXTURE_PATH = path.join(__dirname, "../fixtures/unformatted.js")
+// every how many lines the small save touched one
+const TOUCHED_EVERY = 20
+
+/** @param {string} label @param {() => unknown} run */
+function time(label, run) {
+	const start = performance.now()
+	run()
+	console.log(`${label.padEnd(36)} ${(performance.now() - start).toFixed(0).padStart(7)} ms`)
+}
+
+/** repeats the fixture, renaming its exports so no two copies are the same
+ * @param {number} lineCount
+ */
+function buildDocument(lineCount) {
+	const fixture = fs.readFileSync(FIXTURE_PATH, "utf8").replace(/^import .*\n/gm, "")
+	const copies = Math.max(1, Math.round(lineCount / fixture.split("\n").length))
+	const imports = "import { readFile, writeFile } from 'fs/promises';\nimport path from 'path';\n"
+	return (
+		imports +
+		Array.from({ length: copies }, (_, i) =>
+			fixture.replace(/\b(DEFAULT_OPTIONS|TaskQueue|updateJson|isPlainObject|chunk)\b/g, `$1${i}`)
+		).join("")
+	)
+}
+
+/** spreads stray spaces over the formatted document, like a save after small edits
+ * @param {string} formatted
+ */
+function touchLines(formatted) {
+	return formatted
+		.split("\n")
+		.map((line, i) => (i % TOUCHED_EVERY === 0 ? line.replace(/ = |, /, "  =  ") : line))
+		.join("\n")
+}
+
+async function main() {
+	const lineCount = Number(process.argv[2] ?? 5000)
+	const original = buildDocument(lineCount)
+	const options = await prettier.resolveConfig(FIXTURE_PATH)
+	const formatted = await prettier.format(original, { ...options, filepath: FIXTURE_PATH })
+	const reindented = await prettier.format(formatted, {
+		...options,
+		filepath: FIXTURE_PATH,
+		useTabs: !options?.useTabs
+	})
+	const touched = touchLines(formatted)
+	console.log(`${original.split("\n").length} lines\n`)
+
+	for (const [name, text] of [
+		["reformat", original],
+		["reindent", reindented],
+		["small save", touched]
+	]) {
+		time(`${name}, characters`, () => diff(text, formatted))
+		time(`${name}, lines first`, () =>
+			diff(text, formatted, undefined, false, { checklines: true })
+		)
+		time(`${name}, as on save`, () =>
+			diff.cleanupEfficiency(
+				diff(text, formatted, undefined, false, { checklines: true, timeout: 1 })
+			)
+		)
+	}
+}
+
+main()
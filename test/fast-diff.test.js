@@ -0,0 +1,153 @@
+const assert = require("node:assert/strict")
+const fs = require("node:fs")
+const path = require("node:path")
+const { describe, it } = require("node:test")
+const diff = require("../nano-prettier.novaextension/Scripts/fast-diff")
+
+const unformatted = fs.readFileSync(path.join(__dirname, "fixtures/unformatted.js"), "utf8")
+
+/** @param {Array<[number, string]>} diffs */
+function rebuild(diffs) {
+	let before = ""
+	let after = ""
+	for (const [operation, str] of diffs) {
+		if (operation !== diff.INSERT) before += str
+		if (operation !== diff.DELETE) after += str
+	}
+	return { before, after }
+}
+
+/** a formatter's kind of changes to every line: indents, quotes and semicolons
+ * @param {string} text
+ */
+function reformat(text) {
+	return text
+		.split("\n")
+		.map((line) => line.replace(/^( {4})+/, (indent) => "\t".repeat(indent.length / 4)))
+		.map((line) => line.replace(/'/g, '"').replace(/;$/, ""))
+		.join("\n")
+}
+
+/** a repeatable random text, heavy on line breaks and surrogate pairs
+ * @param {number} seed
+ * @param {number} length
+ */
+function randomText(seed, length) {
+	const pieces = ["a", "b", " ", "\t", "\n", "\n", "{", "}", "😀", "é"]
+	let text = ""
+	for (let i = 0; i < length; i++) {
+		seed = (seed * 16807) % 2147483647
+		text += pieces[seed % pieces.length]
+	}
+	return text
+}
+
+/** @type {Array<[string, string, string]>} */
+const cases = [
+	["a reformatted document", unformatted, reformat(unformatted)],
+	["a larger reformatted document", unformatted.repeat(20), reformat(unformatted.repeat(20))],
+	["an added trailing newline", "const a = 1", "const a = 1\n"],
+	["removed lines", "a\nb\nc\nd\n", "a\nd\n"],
+	["emoji replaced in place", "const s = '😀'\n", 'const s = "😎"\n'],
+	["an emptied text", unformatted, ""]
+]
+for (let seed = 1; seed <= 20; seed++)
+	cases.push([`random texts ${seed}`, randomText(seed, 300), randomText(seed + 1000, 300)])
+
+describe("diff", () => {
+	for (const timeout of [1, -1]) {
+		const deadline = timeout > 0 ? "with a deadline" : "past its deadline"
+		for (const [name, text, formatted] of cases) {
+			it(`rebuilds both texts of ${name} ${deadline}`, () => {
+				const diffs = diff(text, formatted, undefined, false, { checklines: true, timeout })
+				assert.deepEqual(rebuild(diffs), { before: text, after: formatted })
+
+				diff.cleanupEfficiency(diffs)
+				assert.deepEqual(rebuild(diffs), { before: text, after: formatted })
+			})
+		}
+	}
+
+	it("replaces the changed lines whole once past its deadline", () => {
+		const text = unformatted.repeat(20)
+		const diffs = diff(text, reformat(text), undefined, false, { checklines: true, timeout: -1 })
+
+		assert.ok(diffs.length < 10, `${diffs.length} edits`)
+	})
+
+	it("diffs the characters of changed lines with time left", () => {
+		const diffs = diff("\tlet a = 'x';\n", "\tlet b = 'x';\n", undefined, false, {
+			checklines: true,
+			timeout: 1
+		})
+
+		assert.deepEqual(diffs, [
+			[diff.EQUAL, "\tlet "],
+			[diff.DELETE, "a"],
+			[diff.INSERT, "b"],
+			[diff.EQUAL, " = 'x';\n"]
+		])
+	})
+})
+
+describe("diff.cleanupEfficiency", () => {
+	it("keeps equalities longer than an edit costs", () => {
+		const diffs = [
+			[diff.DELETE, "ab"],
+			[diff.INSERT, "12"],
+			[diff.EQUAL, "wxyz"],
+			[diff.DELETE, "cd"],
+			[diff.INSERT, "34"]
+		]
+		diff.cleanupEfficiency(diffs)
+
+		assert.deepEqual(diffs, [
+			[diff.DELETE, "ab"],
+			[diff.INSERT, "12"],
+			[diff.EQUAL, "wxyz"],
+			[diff.DELETE, "cd"],
+			[diff.INSERT, "34"]
+		])
+	})
+
+	it("folds a short equality between edits into them", () => {
+		const diffs = [
+			[diff.DELETE, "ab"],
+			[diff.INSERT, "12"],
+			[diff.EQUAL, "xyz"],
+			[diff.DELETE, "cd"],
+			[diff.INSERT, "34"]
+		]
+		diff.cleanupEfficiency(diffs)
+
+		assert.deepEqual(diffs, [
+			[diff.DELETE, "abxyzcd"],
+			[diff.INSERT, "12xyz34"]
+		])
+	})
+
+	it("folds equalities back to the start when one fold makes another possible", () => {
+		const diffs = [
+			[diff.DELETE, "ab"],
+			[diff.INSERT, "12"],
+			[diff.EQUAL, "xy"],
+			[diff.INSERT, "34"],
+			[diff.EQUAL, "z"],
+			[diff.DELETE, "cd"],
+			[diff.INSERT, "56"]
+		]
+		diff.cleanupEfficiency(diffs)
+
+		assert.deepEqual(diffs, [
+			[diff.DELETE, "abxyzcd"],
+			[diff.INSERT, "12xy34z56"]
+		])
+	})
+
+	it("leaves a diff without edits alone", () => {
+		const diffs = [[diff.EQUAL, "abc"]]
+		diff.cleanupEfficiency(diffs)
+
+		assert.deepEqual(diffs, [[diff.EQUAL, "abc"]])
+	})
+})
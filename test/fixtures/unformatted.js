@@ -0,0 +1,52 @@
+import { readFile, writeFile } from 'fs/promises';
+import path from 'path';
+
+const DEFAULT_OPTIONS = { retries : 3, timeout : 1000, verbose : false };
+
+export class TaskQueue {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.tasks = [];
+        this.running = 0;
+    }
+
+    add(task, priority = 0) {
+        this.tasks.push({ task, priority });
+        this.tasks.sort((a, b) => b.priority - a.priority);
+        return this;
+    }
+
+    async run() {
+        const results = [];
+        while (this.tasks.length) {
+            const { task } = this.tasks.shift();
+            let attempt = 0;
+            while (true) {
+                try {
+                    results.push(await task());
+                    break;
+                } catch (error) {
+                    if (++attempt >= this.options.retries) throw error;
+                    if (this.options.verbose) console.log('retrying', attempt, error.message);
+                }
+            }
+        }
+        return results;
+    }
+}
+
+export async function updateJson(filePath, update) {
+    const text = await readFile(path.resolve(filePath), 'utf8');
+    const json = JSON.parse(text);
+    const updated = typeof update === 'function' ? update(json) : { ...json, ...update };
+    await writeFile(filePath, JSON.stringify(updated, null, 2) + '\n');
+    return updated;
+}
+
+export const isPlainObject = value => value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+export function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+    return chunks;
+}
@@ -0,0 +1,164 @@
+const assert = require("node:assert/strict")
+const childProcess = require("node:child_process")
+const fs = require("node:fs")
+const path = require("node:path")
+const { afterEach, beforeEach, describe, it, mock } = require("node:test")
+const { createFixture, installNova, Range, removeFixture } = require("./nova")
+const {
+	getBaseText,
+	getChangedRanges
+} = require("../nano-prettier.novaextension/Scripts/git-changes")
+
+/** @param {string} cwd @param {string[]} args */
+function git(cwd, ...args) {
+	return childProcess.execFileSync("git", args, { cwd, encoding: "utf8" })
+}
+
+describe("getBaseText", () => {
+	/** @type {string} */
+	let rootPath
+	/** @param {Record<string, string>} files */
+	const setup = (files) => {
+		rootPath = createFixture(files)
+		installNova({ workspacePath: rootPath })
+	}
+	/** @param {Record<string, string>} files */
+	const setupRepository = (files) => {
+		setup(files)
+		git(rootPath, "init", "--quiet")
+		git(rootPath, "config", "user.name", "Test")
+		git(rootPath, "config", "user.email", "test@example.com")
+	}
+	/** @param {string} message */
+	const commit = (message) => git(rootPath, "commit", "--quiet", "--message", message)
+	afterEach(() => removeFixture(rootPath))
+
+	it("shows the last commit and the index", async () => {
+		setupRepository({ "src/index.js": "const a = 1\n" })
+		git(rootPath, "add", ".")
+		commit("add index.js")
+		fs.writeFileSync(path.join(rootPath, "src/index.js"), "const a = 2\n")
+		git(rootPath, "add", ".")
+		fs.writeFileSync(path.join(rootPath, "src/index.js"), "const a = 3\n")
+
+		const filePath = path.join(rootPath, "src/index.js")
+		assert.equal(await getBaseText(filePath, "HEAD"), "const a = 1\n")
+		assert.equal(await getBaseText(filePath, "index"), "const a = 2\n")
+	})
+
+	it("checks out line endings the way git writes them", async () => {
+		setupRepository({ "index.js": "const a = 1\r\nconst b = 2\r\n" })
+		git(rootPath, "config", "core.autocrlf", "true")
+		git(rootPath, "add", ".")
+		commit("add index.js")
+
+		assert.equal(git(rootPath, "show", "HEAD:index.js"), "const a = 1\nconst b = 2\n")
+		assert.equal(
+			await getBaseText(path.join(rootPath, "index.js"), "HEAD"),
+			"const a = 1\r\nconst b = 2\r\n"
+		)
+	})
+
+	it("has no base for untracked files", async () => {
+		setupRepository({ "index.js": "", "new.js": "" })
+		git(rootPath, "add", "index.js")
+		commit("add index.js")
+
+		assert.equal(await getBaseText(path.join(rootPath, "new.js"), "HEAD"), undefined)
+		assert.equal(await getBaseText(path.join(rootPath, "new.js"), "index"), undefined)
+	})
+
+	it("has no base at HEAD for files only staged", async () => {
+		setupRepository({ "index.js": "", "new.js": "const a = 1\n" })
+		git(rootPath, "add", "index.js")
+		commit("add index.js")
+		git(rootPath, "add", "new.js")
+
+		assert.equal(await getBaseText(path.join(rootPath, "new.js"), "HEAD"), undefined)
+		assert.equal(await getBaseText(path.join(rootPath, "new.js"), "index"), "const a = 1\n")
+	})
+
+	it("has no base at HEAD before the first commit", async () => {
+		setupRepository({ "index.js": "" })
+		git(rootPath, "add", ".")
+
+		assert.equal(await getBaseText(path.join(rootPath, "index.js"), "HEAD"), undefined)
+	})
+
+	it("has no base outside a repository", async () => {
+		setup({ "index.js": "" })
+
+		assert.equal(await getBaseText(path.join(rootPath, "index.js"), "HEAD"), undefined)
+	})
+
+	it("takes file names literally", async () => {
+		setupRepository({ "i.js": "", "[id].js": "" })
+		git(rootPath, "add", "i.js")
+		commit("add i.js")
+
+		assert.equal(await getBaseText(path.join(rootPath, "[id].js"), "index"), undefined)
+	})
+
+	describe("when git fails", () => {
+		/** @type {import("node:test").Mock<typeof console.log>} */
+		let log
+		beforeEach(() => (log = mock.method(console, "log", () => {})))
+		afterEach(() => log.mock.restore())
+
+		it("logs and tells it apart from a new file", async () => {
+			setupRepository({ "index.js": "const a = 1\n" })
+			git(rootPath, "add", ".")
+			commit("add index.js")
+			const blob = git(rootPath, "rev-parse", "HEAD:index.js").trim()
+			fs.rmSync(path.join(rootPath, ".git/objects", blob.slice(0, 2), blob.slice(2)))
+
+			assert.equal(await getBaseText(path.join(rootPath, "index.js"), "HEAD"), null)
+			assert.equal(log.mock.callCount(), 1)
+		})
+	})
+})
+
+describe("getChangedRanges", () => {
+	beforeEach(() => installNova({ workspacePath: "/" }))
+
+	it("leaves nothing to format for removed lines", () => {
+		assert.deepEqual(getChangedRanges("a\nb\nc\n", "a\nc\n"), [])
+		assert.deepEqual(getChangedRanges("a\nb\nc\n", "a\nb\n"), [])
+	})
+
+	it("takes a line that only lost characters", () => {
+		assert.deepEqual(getChangedRanges("a\nbx\nc\n", "a\nb\nc\n"), [new Range(2, 3)])
+	})
+
+	it("takes added lines but not the line after them", () => {
+		assert.deepEqual(getChangedRanges("a\nd\n", "a\nb\nc\nd\n"), [new Range(2, 5)])
+	})
+
+	it("takes the last line when its trailing newline changes", () => {
+		assert.deepEqual(getChangedRanges("a\nb", "a\nb\n"), [new Range(2, 3)])
+		assert.deepEqual(getChangedRanges("a\nb\n", "a\nb"), [new Range(2, 3)])
+	})
+
+	it("joins changes on adjacent lines", () => {
+		assert.deepEqual(getChangedRanges("a\nb\nc\nd\n", "a\nB\nC\nd\n"), [new Range(2, 5)])
+	})
+
+	it("keeps changes with an unchanged line between them apart", () => {
+		assert.deepEqual(getChangedRanges("a\nb\nc\n", "A\nb\nC\n"), [new Range(0, 1), new Range(4, 5)])
+	})
+
+	it("takes a changed line next to removed ones", () => {
+		assert.deepEqual(getChangedRanges("a\nb\nc\nd\n", "a\nC\nd\n"), [new Range(2, 3)])
+	})
+
+	it("takes every line of a large rewrite, however coarse the diff", () => {
+		const lines = Array.from(
+			{ length: 20000 },
+			(_, i) => `    const value${i} = compute(${i}, 'x');`
+		)
+		const baseText = lines.join("\n") + "\n"
+		const text = baseText.replace(/^ {4}/gm, "\t").replace(/'/g, '"').replace(/;$/gm, "")
+
+		assert.deepEqual(getChangedRanges(baseText, text), [new Range(0, text.length - 1)])
+	})
+})
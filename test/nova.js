@@ -0,0 +1,213 @@
+// Just enough of Nova's extension API, backed by node, to run the Scripts outside Nova.
+
+const childProcess = require("node:child_process")
+const fs = require("node:fs")
+const os = require("node:os")
+const path = require("node:path")
+
+/** @param {Record<string, unknown>} values */
+function createConfig(values) {
+	const settings = new Map(Object.entries(values))
+	return {
+		/** @param {string} key */
+		get: (key) => settings.get(key) ?? null,
+		/** @param {string} key @param {unknown} value */
+		set: (key, value) => settings.set(key, value),
+		/** @param {string} key */
+		remove: (key) => settings.delete(key)
+	}
+}
+
+class Range {
+	/** @param {number} start @param {number} end */
+	constructor(start, end) {
+		this.start = start
+		this.end = end
+	}
+
+	get length() {
+		return this.end - this.start
+	}
+
+	get empty() {
+		return this.start === this.end
+	}
+}
+
+/** runs a real process, handing its output over line by line like Nova does */
+class Process {
+	/** @param {string} command @param {{ args?: string[]; cwd?: string; env?: Record<string, string> }} [options] */
+	constructor(command, options = {}) {
+		this.command = command
+		this.options = options
+		/** @type {Record<"stdout" | "stderr" | "exit", Function[]>} */
+		this.listeners = { stdout: [], stderr: [], exit: [] }
+	}
+
+	/** @param {(line: string) => void} callback */
+	onStdout(callback) {
+		this.listeners.stdout.push(callback)
+	}
+
+	/** @param {(line: string) => void} callback */
+	onStderr(callback) {
+		this.listeners.stderr.push(callback)
+	}
+
+	/** @param {(code: number) => void} callback */
+	onDidExit(callback) {
+		this.listeners.exit.push(callback)
+	}
+
+	start() {
+		const child = childProcess.spawn(this.command, this.options.args ?? [], {
+			cwd: this.options.cwd,
+			env: { ...process.env, ...this.options.env }
+		})
+		this.child = child
+
+		/** @param {"stdout" | "stderr"} name */
+		const emitLines = (name) => {
+			let buffer = ""
+			child[name].setEncoding("utf8")
+			child[name].on("data", (/** @type {string} */ data) => {
+				const lines = (buffer + data).split(/(?<=\n)/)
+				buffer = lines[lines.length - 1].endsWith("\n") ? "" : (lines.pop() ?? "")
+				for (const line of lines) for (const listener of this.listeners[name]) listener(line)
+			})
+			child[name].on("end", () => {
+				if (buffer) for (const listener of this.listeners[name]) listener(buffer)
+			})
+		}
+		emitLines("stdout")
+		emitLines("stderr")
+		child.on("close", (code) => {
+			for (const listener of this.listeners.exit) listener(code ?? 1)
+		})
+		// a missing executable exits like a shell would report it
+		child.on("error", () => {})
+	}
+
+	get stdin() {
+		const { child } = this
+		return {
+			getWriter: () => ({
+				/** @param {string} text */
+				write: (text) => child?.stdin.write(text),
+				close: () => child?.stdin.end()
+			})
+		}
+	}
+
+	terminate() {
+		this.child?.kill()
+	}
+}
+
+/**
+ * installs the `nova` global and its classes
+ * @param {{
+ *   workspacePath?: string
+ *   config?: Record<string, unknown>
+ *   workspaceConfig?: Record<string, unknown>
+ * }} [options]
+ */
+function installNova({ workspacePath, config = {}, workspaceConfig = {} } = {}) {
+	/** @type {unknown[]} */
+	const notifications = []
+
+	// @ts-expect-error a partial stand-in
+	global.nova = {
+		fs: {
+			X_OK: fs.constants.X_OK,
+			/** @param {string} filePath */
+			stat(filePath) {
+				try {
+					const stats = fs.statSync(filePath)
+					return { isFile: () => stats.isFile(), isDirectory: () => stats.isDirectory() }
+				} catch {
+					return undefined
+				}
+			},
+			/** @param {string} filePath @param {number} mode */
+			access(filePath, mode) {
+				try {
+					fs.accessSync(filePath, mode)
+					return true
+				} catch {
+					return false
+				}
+			},
+			/** @param {string} filePath */
+			open(filePath) {
+				const contents = fs.readFileSync(filePath, "utf8")
+				return { read: () => contents, close() {} }
+			},
+			/** @param {string} dirname */
+			listdir: (dirname) => fs.readdirSync(dirname)
+		},
+		path: {
+			join: path.join,
+			dirname: path.dirname,
+			basename: path.basename,
+			isAbsolute: path.isAbsolute,
+			/** @param {string} filePath - Nova drops the trailing slash node keeps */
+			normalize(filePath) {
+				const normalized = path.normalize(filePath)
+				return normalized.length > 1 ? normalized.replace(/\/$/, "") : normalized
+			},
+			/** @param {string} filePath */
+			expanduser: (filePath) => filePath.replace(/^~(?=$|\/)/, os.homedir())
+		},
+		config: createConfig(config),
+		environment: { PATH: "" },
+		extension: { path: path.resolve(__dirname, "../nano-prettier.novaextension") },
+		notifications: {
+			/** @param {unknown} request */
+			add(request) {
+				notifications.push(request)
+				return Promise.resolve({})
+			},
+			cancel() {}
+		},
+		workspace: {
+			path: workspacePath,
+			config: createConfig(workspaceConfig),
+			/** @param {string} filePath */
+			contains: (filePath) =>
+				!!workspacePath && (filePath === workspacePath || filePath.startsWith(`${workspacePath}/`)),
+			/** @param {string} filePath */
+			relativizePath: (filePath) =>
+				workspacePath ? path.relative(workspacePath, filePath) : filePath
+		}
+	}
+	// @ts-expect-error a partial stand-in
+	global.Range = Range
+	// @ts-expect-error a partial stand-in
+	global.Process = Process
+	// @ts-expect-error a partial stand-in
+	global.NotificationRequest = class {}
+
+	return { notifications }
+}
+
+/**
+ * writes a directory tree into a fresh temporary directory
+ * @param {Record<string, string>} files - contents by relative path
+ * @returns {string} the tree's real path
+ */
+function createFixture(files) {
+	const rootPath = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "nano-prettier-")))
+	for (const [filePath, contents] of Object.entries(files)) {
+		fs.mkdirSync(path.dirname(path.join(rootPath, filePath)), { recursive: true })
+		fs.writeFileSync(path.join(rootPath, filePath), contents)
+	}
+	return rootPath
+}
+
+/** @param {string} rootPath */
+function removeFixture(rootPath) {
+	fs.rmSync(rootPath, { recursive: true, force: true })
+}
+
+module.exports = { installNova, createFixture, removeFixture, Range }
@@ -0,0 +1,99 @@
+const assert = require("node:assert/strict")
+const path = require("node:path")
+const { afterEach, describe, it } = require("node:test")
+const { createFixture, installNova, removeFixture } = require("./nova")
+const {
+	resolvePackageManagerExecutable
+} = require("../nano-prettier.novaextension/Scripts/package-managers")
+
+const PRETTIER_PACKAGE = JSON.stringify({ name: "prettier", bin: { prettier: "bin/prettier.cjs" } })
+
+describe("resolvePackageManagerExecutable", () => {
+	/** @type {string} */
+	let rootPath
+	/** @param {Record<string, string>} files */
+	const setup = (files) => {
+		rootPath = createFixture(files)
+		installNova({ workspacePath: rootPath })
+		return rootPath
+	}
+	afterEach(() => removeFixture(rootPath))
+
+	it("runs prettier through a Yarn Plug'n'Play project's pinned yarn release", () => {
+		setup({
+			"yarn.lock": "",
+			".pnp.cjs": "",
+			".yarnrc.yml": "nodeLinker: pnp\nyarnPath: .yarn/releases/yarn-4.5.0.cjs\n",
+			"src/index.js": ""
+		})
+
+		assert.deepEqual(resolvePackageManagerExecutable(path.join(rootPath, "src")), {
+			rootPath,
+			filePath: path.join(rootPath, ".pnp.cjs"),
+			source: "pnp",
+			command: ["node", path.join(rootPath, ".yarn/releases/yarn-4.5.0.cjs"), "prettier"],
+			pnpPath: path.join(rootPath, ".pnp.cjs")
+		})
+	})
+
+	it("runs prettier through the yarn on the PATH without a pinned release", () => {
+		setup({ "yarn.lock": "", ".pnp.js": "", "src/index.js": "" })
+
+		const executableInfo = resolvePackageManagerExecutable(path.join(rootPath, "src"))
+		assert.equal(executableInfo?.source, "pnp")
+		assert.equal(executableInfo?.rootPath, rootPath)
+		assert.deepEqual(executableInfo?.command, ["/usr/bin/env", "yarn", "prettier"])
+	})
+
+	it("finds prettier in a hoisted pnpm store", () => {
+		setup({
+			"pnpm-lock.yaml": "",
+			"node_modules/.pnpm/node_modules/prettier/package.json": PRETTIER_PACKAGE,
+			"node_modules/.pnpm/node_modules/prettier/bin/prettier.cjs": "",
+			"packages/app/index.js": ""
+		})
+
+		const binPath = path.join(rootPath, "node_modules/.pnpm/node_modules/prettier/bin/prettier.cjs")
+		assert.deepEqual(resolvePackageManagerExecutable(path.join(rootPath, "packages/app")), {
+			rootPath,
+			filePath: binPath,
+			source: "pnpm",
+			command: ["node", binPath]
+		})
+	})
+
+	it("finds prettier in a bun install without a .bin link", () => {
+		setup({
+			"bun.lockb": "",
+			"node_modules/prettier/package.json": JSON.stringify({ bin: "./bin/prettier.cjs" }),
+			"node_modules/prettier/bin/prettier.cjs": ""
+		})
+
+		const binPath = path.join(rootPath, "node_modules/prettier/bin/prettier.cjs")
+		assert.deepEqual(resolvePackageManagerExecutable(rootPath), {
+			rootPath,
+			filePath: binPath,
+			source: "bun",
+			command: ["node", binPath]
+		})
+	})
+
+	it("leaves a pnpm store alone for other package managers", () => {
+		setup({
+			"package-lock.json": "",
+			"node_modules/.pnpm/node_modules/prettier/package.json": PRETTIER_PACKAGE,
+			"node_modules/.pnpm/node_modules/prettier/bin/prettier.cjs": ""
+		})
+
+		assert.equal(resolvePackageManagerExecutable(rootPath), undefined)
+	})
+
+	it("finds nothing without a lockfile", () => {
+		setup({
+			"node_modules/prettier/package.json": PRETTIER_PACKAGE,
+			"node_modules/prettier/bin/prettier.cjs": ""
+		})
+
+		assert.equal(resolvePackageManagerExecutable(rootPath), undefined)
+	})
+})
@@ -0,0 +1,127 @@
+const assert = require("node:assert/strict")
+const path = require("node:path")
+const { afterEach, describe, it } = require("node:test")
+const { createFixture, installNova, removeFixture } = require("./nova")
+const {
+	getConfigPath,
+	hasPrettierConfig,
+	resolvePrettier
+} = require("../nano-prettier.novaextension/Scripts/prettier")
+
+describe("getConfigPath", () => {
+	/** @type {string} */
+	let rootPath
+	/** @param {Record<string, string>} files @param {Record<string, unknown>} [config] */
+	const setup = (files, config) => {
+		rootPath = createFixture(files)
+		installNova({ workspacePath: rootPath, config })
+	}
+	afterEach(() => removeFixture(rootPath))
+
+	it("skips a package.json without a prettier key", () => {
+		setup({
+			".prettierrc": "{}",
+			"app/package.json": JSON.stringify({ name: "app" }),
+			"app/index.js": ""
+		})
+
+		assert.equal(
+			getConfigPath(path.join(rootPath, "app/index.js")),
+			path.join(rootPath, ".prettierrc")
+		)
+	})
+
+	it("takes a package.json with a prettier key", () => {
+		setup({
+			".prettierrc": "{}",
+			"app/package.json": JSON.stringify({ prettier: { semi: false } }),
+			"app/index.js": ""
+		})
+
+		assert.equal(
+			getConfigPath(path.join(rootPath, "app/index.js")),
+			path.join(rootPath, "app/package.json")
+		)
+	})
+
+	it("takes a package.yaml with a prettier key, and skips one without", () => {
+		setup({
+			"package.yaml": "name: root\nprettier:\n  semi: false\n",
+			"app/package.yaml": "name: app\n",
+			"app/index.js": ""
+		})
+
+		assert.equal(
+			getConfigPath(path.join(rootPath, "app/index.js")),
+			path.join(rootPath, "package.yaml")
+		)
+	})
+
+	it("prefers the nearest directory's config over a farther one", () => {
+		setup({
+			".prettierrc": "{}",
+			"packages/app/prettier.config.js": "module.exports = {}",
+			"packages/app/src/index.js": ""
+		})
+
+		assert.equal(
+			getConfigPath(path.join(rootPath, "packages/app/src/index.js")),
+			path.join(rootPath, "packages/app/prettier.config.js")
+		)
+	})
+
+	it("follows prettier's order within a directory", () => {
+		setup({ ".prettierrc.json": "{}", ".prettierrc": "{}", "index.js": "" })
+
+		assert.equal(getConfigPath(path.join(rootPath, "index.js")), path.join(rootPath, ".prettierrc"))
+	})
+
+	it("searches custom config file names first", () => {
+		setup(
+			{ ".prettierrc": "{}", "format.json": "{}", "index.js": "" },
+			{ config_file_names: ["format.json"] }
+		)
+
+		assert.equal(getConfigPath(path.join(rootPath, "index.js")), path.join(rootPath, "format.json"))
+	})
+
+	it("finds nothing outside the workspace", () => {
+		setup({ ".prettierrc": "{}", "workspace/index.js": "" })
+		installNova({ workspacePath: path.join(rootPath, "workspace") })
+
+		assert.equal(hasPrettierConfig(path.join(rootPath, "workspace/index.js")), false)
+	})
+})
+
+describe("resolvePrettier", () => {
+	/** @type {string} */
+	let rootPath
+	afterEach(() => removeFixture(rootPath))
+
+	const files = {
+		"node_modules/.bin/prettier": "",
+		".prettierrc": "{}",
+		"format.json": "{}",
+		"index.js": ""
+	}
+
+	it("leaves finding the config to prettier without custom config file names", () => {
+		rootPath = createFixture(files)
+		installNova({ workspacePath: rootPath, config: { node_path: process.execPath } })
+
+		assert.equal(resolvePrettier(path.join(rootPath, "index.js"))?.configPath, undefined)
+	})
+
+	it("passes the config it found with custom config file names", () => {
+		rootPath = createFixture(files)
+		installNova({
+			workspacePath: rootPath,
+			config: { node_path: process.execPath, config_file_names: ["format.json"] }
+		})
+
+		assert.equal(
+			resolvePrettier(path.join(rootPath, "index.js"))?.configPath,
+			path.join(rootPath, "format.json")
+		)
+	})
+})
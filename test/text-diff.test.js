@@ -0,0 +1,67 @@
+const assert = require("node:assert/strict")
+const { beforeEach, describe, it } = require("node:test")
+const { installNova, Range } = require("./nova")
+const { applyTextDiff } = require("../nano-prettier.novaextension/Scripts/text-diff")
+
+/** applies `formatted` over `original` the way an editor would, one replacement after another
+ * @param {string} original
+ * @param {string} formatted
+ * @param {Range[]} selectedRanges
+ */
+function format(original, formatted, selectedRanges) {
+	let text = original
+	const edit = /** @type {TextEditorEdit} */ (
+		/** @type {unknown} */ ({
+			/** @param {Range} range @param {string} str */
+			replace(range, str) {
+				text = text.slice(0, range.start) + str + text.slice(range.end)
+			}
+		})
+	)
+	const selections = applyTextDiff(edit, original, formatted, selectedRanges)
+	return { text, selections }
+}
+
+/** @param {number} offset */
+const caret = (offset) => new Range(offset, offset)
+
+describe("applyTextDiff", () => {
+	beforeEach(() => installNova({ workspacePath: "/" }))
+
+	it("keeps carets on their lines", () => {
+		const { text, selections } = format("x=1\ny=2\n", "x = 1\ny = 2\n", [caret(2), caret(6)])
+
+		assert.equal(text, "x = 1\ny = 2\n")
+		assert.deepEqual(selections, [caret(3), caret(9)])
+	})
+
+	it("keeps a selection on the text it selected", () => {
+		const original = "const y=bar(c,d)\n"
+		const formatted = "const y = bar(c, d)\n"
+		const { text, selections } = format(original, formatted, [new Range(8, 11)])
+
+		assert.equal(text, formatted)
+		// the space inserted ahead of `bar` falls in the selection's edit
+		assert.equal(text.slice(selections[0].start, selections[0].end), " bar")
+	})
+
+	it("keeps every selection of a multiple selection", () => {
+		const original = "let a=[1,2]\nlet b={c:3}\n"
+		const formatted = "let a = [1, 2]\nlet b = { c: 3 }\n"
+		const { text, selections } = format(original, formatted, [new Range(4, 5), new Range(16, 17)])
+
+		assert.equal(text, formatted)
+		assert.deepEqual(
+			selections.map((range) => text.slice(range.start, range.end)),
+			["a", "b"]
+		)
+	})
+
+	it("rebuilds the formatted text when whole lines change", () => {
+		const original = "function f(){\n    return 'a';\n}\n"
+		const formatted = 'function f() {\n\treturn "a"\n}\n'
+
+		assert.equal(format(original, formatted, [caret(0)]).text, formatted)
+		assert.equal(format(original, formatted, []).text, formatted)
+	})
+})